@@ -16,6 +16,50 @@ module.exports = {
     return homey.app.api.unexposeDevice(params.id);
   },
 
+  async getDeviceMapping({ homey, params }) {
+    return homey.app.api.getDeviceMapping(params.id);
+  },
+
+  async setDeviceMap({ homey, params, body }) {
+    return homey.app.api.setDeviceMap(params.id, body?.map);
+  },
+
+  async setDeviceTransforms({ homey, params, body }) {
+    return homey.app.api.setDeviceTransforms(params.id, body?.transforms);
+  },
+
+  async setDeviceConfirmation({ homey, params, body }) {
+    return homey.app.api.setDeviceConfirmation(params.id, body?.confirmed, body?.timeout);
+  },
+
+  async setDeviceTravelTime({ homey, params, body }) {
+    return homey.app.api.setDeviceTravelTime(params.id, body?.travelTime);
+  },
+
+  async setDeviceStandalone({ homey, params, body }) {
+    return homey.app.api.setDeviceStandalone(params.id, body?.standalone);
+  },
+
+  async getUserMaps({ homey }) {
+    return homey.app.api.getUserMaps();
+  },
+
+  async getInvalidMaps({ homey }) {
+    return homey.app.api.getInvalidMaps();
+  },
+
+  async setUserMaps({ homey, body }) {
+    return homey.app.api.setUserMaps(body?.maps);
+  },
+
+  async getThresholds({ homey }) {
+    return homey.app.api.getThresholds();
+  },
+
+  async setThresholds({ homey, body }) {
+    return homey.app.api.setThresholds(body?.thresholds);
+  },
+
   async reset({ homey, body }) {
     if (body?.value !== true) return 'ok';
     return homey.app.api.reset();
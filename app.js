@@ -5,6 +5,9 @@ const debounce                      = require('debounce');
 const Homey                         = require('homey');
 const Constants                     = require('./constants');
 const DeviceMapper                  = require('./lib/device-mapper');
+const { validateTransforms }        = require('./lib/value-transforms');
+const { validateThresholds }        = require('./lib/thresholds');
+const { HistoryStore }              = require('./lib/history');
 const { HomeyAPI }                  = require('./modules/homey-api');
 const {
   Bridge, Service, Characteristic,
@@ -31,6 +34,11 @@ module.exports = class HomeKitty extends Homey.App {
   #bridgeReady   = defer();
   #bridgeStarted = defer();
   #exposed       = null;
+  #options       = null;
+  #states        = null;
+  #history       = null;
+  #standalone    = new Map();
+  #userMapErrors = [];
 
   async onInit() {
     this.log('');
@@ -48,9 +56,15 @@ module.exports = class HomeKitty extends Homey.App {
       await this.reset();
     }
 
+    // initialize (Eve) history recording
+    this.initializeHistory();
+
     // initialize expose map
     this.initializeExposeMap();
 
+    // initialize per-device options
+    this.initializeDeviceOptions();
+
     // initialize Homey Web API
     await this.initializeWebApi();
 
@@ -89,8 +103,11 @@ module.exports = class HomeKitty extends Homey.App {
   }
 
   onUninit() {
-    this.log('[onUninit] saving expose map');
+    this.log('[onUninit] saving expose map, device options, device states and history');
     this.#exposed.save();
+    this.#options.save();
+    this.#states.save();
+    this.#history.saveAll();
   }
 
   async initializeApiHandlers() {
@@ -129,6 +146,19 @@ module.exports = class HomeKitty extends Homey.App {
     }
   }
 
+  initializeHistory() {
+    // histories are stored in the persistence directory, so they survive
+    // app restarts (but not resets)
+    this.#history = new HistoryStore(pathJoin(this.#persistDir, Constants.HISTORY_DIRECTORY), { logger : this.log.bind(this) });
+    this.homey.on('unload', () => {
+      this.log('[onUnload] saving history');
+      this.#history.saveAll();
+    });
+    this.#history.start();
+    // the device mapper records capability updates of mapped devices
+    DeviceMapper.setHistory(this.#history);
+  }
+
   async initializeExposeMap() {
     this.#exposed = new StorageBackedMap(
       this.homey.settings.get(Constants.SETTINGS_EXPOSE_MAP),
@@ -158,6 +188,26 @@ module.exports = class HomeKitty extends Homey.App {
     });
   }
 
+  async initializeDeviceOptions() {
+    this.#options = new StorageBackedMap(
+      this.homey.settings.get(Constants.SETTINGS_DEVICE_OPTIONS),
+      data => this.homey.settings.set(Constants.SETTINGS_DEVICE_OPTIONS, data)
+    );
+    this.homey.on('unload', () => {
+      this.log('[onUnload] saving device options');
+      this.#options.save();
+    });
+    // the device mapper uses these to determine how to map each device
+    DeviceMapper.setDeviceOptions(this.#options);
+
+    // state that maps keep for devices
+    this.#states = new StorageBackedMap(
+      this.homey.settings.get(Constants.SETTINGS_DEVICE_STATES),
+      data => this.homey.settings.set(Constants.SETTINGS_DEVICE_STATES, data)
+    );
+    DeviceMapper.setDeviceStates(this.#states);
+  }
+
   async initializeWebApi() {
     this.#api = await HomeyAPI.createAppAPI({ homey: this.homey });
 
@@ -293,10 +343,26 @@ module.exports = class HomeKitty extends Homey.App {
     return 49152 + (0 | Math.random() * 11847);
   }
 
+  generatePincode() {
+    // HomeKit rejects codes that are too easy to guess
+    const INVALID = [ '12345678', '87654321', ...'0123456789'.split('').map(digit => digit.repeat(8)) ];
+    let digits;
+    do {
+      digits = '00000000'.replace(/0/g, () => String(Math.floor(Math.random() * 10)));
+    } while (INVALID.includes(digits));
+    return digits.replace(/^(\d{3})(\d{2})(\d{3})$/, '$1-$2-$3');
+  }
+
   async mapDevices() {
     // use the app logger for the device mapper
     DeviceMapper.setLogger(this.log.bind(this));
 
+    // load user-defined threshold tables
+    DeviceMapper.setThresholds(this.homey.settings.get(Constants.SETTINGS_THRESHOLDS) || {});
+
+    // load user-defined maps
+    this.loadUserMaps();
+
     // get all devices and try to map them
     for (const [ id, device ] of Object.entries(await this.getDevices())) {
       await this.addDeviceToHomeKit(device);
@@ -309,6 +375,19 @@ module.exports = class HomeKitty extends Homey.App {
     this.#devicesMapped.resolve();
   }
 
+  loadUserMaps() {
+    const definitions = this.homey.settings.get(Constants.SETTINGS_USER_MAPS) || [];
+    if (! definitions.length) return;
+
+    this.log(`loading ${ definitions.length } user-defined map(s):`);
+    this.#userMapErrors = DeviceMapper.loadUserMaps(definitions);
+    for (const { name, errors } of this.#userMapErrors) {
+      this.error(`- map '${ name ?? 'unnamed' }' is invalid and will be skipped:`);
+      errors.forEach(({ path, message }) => this.error(`  - ${ path || 'map' }: ${ message }`));
+    }
+    this.log(`- loaded ${ definitions.length - this.#userMapErrors.length } map(s)`);
+  }
+
   // XXX: make sure a device isn't already mapped
   async addDeviceToHomeKit(device) {
     // don't add our own devices like this
@@ -333,12 +412,19 @@ module.exports = class HomeKitty extends Homey.App {
     const mappedDevice = DeviceMapper.mapDevice(device);
     if (mappedDevice) {
       this.log(`${ prefix } was able to map 🥳`);
+      for (const { name, score, specificity } of mappedDevice.getRanking().filter(entry => entry.picked)) {
+        this.log(`${ prefix } - using map '${ name }' (score=${ score } specificity=${ specificity.toFixed(2) })`);
+      }
 
       // expose it to HK unless the user doesn't want to
       if (this.#exposed.get(device.id) !== false) {
         this.log(`${ prefix } - device should be exposed`);
         try {
-          this.#bridge.addBridgedAccessory(mappedDevice.accessorize());
+          if (this.isStandalone(device.id, mappedDevice)) {
+            await this.publishStandalone(device, mappedDevice);
+          } else {
+            this.#bridge.addBridgedAccessory(mappedDevice.accessorize());
+          }
         } catch(e) {
           this.log(`${ prefix } - unable to expose device: ${ e.message }`);
           this.error(e);
@@ -351,18 +437,94 @@ module.exports = class HomeKitty extends Homey.App {
     }
     this.#exposed.set(device.id, false);
     this.log(`${ prefix } unable to map 🥺 (class=${ device.class } virtualClass=${ device.virtualClass } capabilities=${ device.capabilities })`);
+    for (const { name, missing, forbidden, hidden } of DeviceMapper.explainDevice(device).maps) {
+      this.log(`${ prefix } - map '${ name }': missing=[${ missing }] forbidden=[${ forbidden }] hidden=[${ hidden }]`);
+    }
     return false;
   }
 
+  isStandalone(id, mappedDevice) {
+    return this.#options.get(id)?.standalone === true && !! mappedDevice?.canBeStandalone();
+  }
+
+  // Returns the credentials of a standalone accessory, generating (and
+  // storing) them the first time.
+  getStandaloneCredentials(id) {
+    const credentials = this.homey.settings.get(Constants.SETTINGS_STANDALONE_CREDENTIALS) || {};
+    const existing    = credentials[id] || {};
+    if (! existing.username || ! existing.port || ! existing.pincode) {
+      credentials[id] = {
+        username : existing.username || this.generateBridgeUsername(),
+        port     : existing.port     || this.generateBridgePort(),
+        pincode  : existing.pincode  || this.generatePincode(),
+      };
+      this.homey.settings.set(Constants.SETTINGS_STANDALONE_CREDENTIALS, credentials);
+    }
+    return credentials[id];
+  }
+
+  // Publishes a device as an accessory by itself (instead of through the
+  // bridge), with its own credentials.
+  async publishStandalone(device, mappedDevice) {
+    const { username, port, pincode } = this.getStandaloneCredentials(device.id);
+
+    this.log(`[${ device.id }] publishing as standalone accessory (username=${ username } port=${ port } pincode=${ pincode })`);
+    const accessory = mappedDevice.accessorize();
+    await accessory.publish({ username, port, pincode, category : mappedDevice.getCategory() });
+    this.#standalone.set(device.id, accessory);
+  }
+
+  // Updates the options of a device (options set to `null` are removed) and
+  // remaps the device so the new options take effect.
+  async setDeviceOptions(device, changes) {
+    const options = { ...this.#options.get(device.id) };
+    for (const [ key, value ] of Object.entries(changes)) {
+      if (value == null) {
+        delete options[key];
+      } else {
+        options[key] = value;
+      }
+    }
+    this.#options.set(device.id, options);
+    this.#options.save();
+    return await this.remapDevice(device);
+  }
+
+  async remapDevice(device) {
+    // if the device isn't exposed, just forget the cached mapping
+    if (! this.getAccessoryById(device.id)) {
+      DeviceMapper.forgetDevice(device);
+      return true;
+    }
+    // otherwise, update the existing accessory in place
+    if (! DeviceMapper.remapDevice(device)) {
+      this.log(`[${ device.id }] device can no longer be mapped`);
+      await this.deleteDeviceFromHomeKit(device);
+      return false;
+    }
+    return true;
+  }
+
   async deleteDevice(device) {
     // delete device from HomeKit
     await this.deleteDeviceFromHomeKit(device);
     // delete device from the exposure list
     this.#exposed.delete(device.id);
     this.#exposed.save();
+    // delete device options
+    this.#options.delete(device.id);
+    this.#options.save();
+    // delete device state
+    this.#states.delete(device.id);
+    this.#states.save();
+    // delete recorded history
+    this.#history.delete(device.id);
   }
 
   getAccessoryById(id) {
+    if (this.#standalone.has(id)) {
+      return this.#standalone.get(id);
+    }
     const UUID = uuid.generate(id);
     return this.#bridge.bridgedAccessories.find(r => r.UUID === UUID);
   }
@@ -372,7 +534,16 @@ module.exports = class HomeKitty extends Homey.App {
     if (! accessory) return false;
     this.log(`[${ device.id }] removing device from HomeKit:`);
     try {
-      this.#bridge.removeBridgedAccessory(accessory);
+      if (this.#standalone.has(device.id)) {
+        // destroying the accessory removes its pairings, so it'll get new
+        // credentials when it's published again
+        this.#standalone.delete(device.id);
+        const credentials = this.homey.settings.get(Constants.SETTINGS_STANDALONE_CREDENTIALS) || {};
+        delete credentials[device.id];
+        this.homey.settings.set(Constants.SETTINGS_STANDALONE_CREDENTIALS, credentials);
+      } else {
+        this.#bridge.removeBridgedAccessory(accessory);
+      }
       await accessory.destroy();
       DeviceMapper.forgetDevice(device);
       this.log(`- success 🥳`);
@@ -420,6 +591,10 @@ module.exports = class HomeKitty extends Homey.App {
     this.homey.settings.unset(Constants.SETTINGS_BRIDGE_SETUP_ID);
     this.homey.settings.unset(Constants.SETTINGS_BRIDGE_PINCODE);
     this.homey.settings.unset(Constants.SETTINGS_EXPOSE_MAP);
+    this.homey.settings.unset(Constants.SETTINGS_DEVICE_OPTIONS);
+    this.homey.settings.unset(Constants.SETTINGS_DEVICE_STATES);
+    this.homey.settings.unset(Constants.SETTINGS_STANDALONE_CREDENTIALS);
+    this.#history?.clear();
     try {
       this.log('removing persistence directory:');
       await rmdir(this.#persistDir, { recursive : true });
@@ -438,6 +613,9 @@ module.exports = class HomeKitty extends Homey.App {
 
   async exit() {
     await this.#bridge.unpublish();
+    for (const accessory of this.#standalone.values()) {
+      await accessory.unpublish();
+    }
     await this.notify(this.homey.i18n.__('app.stopping'));
     process.exit(0);
   }
@@ -485,24 +663,25 @@ module.exports = class HomeKitty extends Homey.App {
         // retrieve mapped device instance
         const mappedDevice = DeviceMapper.getDeviceById(device.id);
 
-        // check if capabilities have changed
+        // check if capabilities or device class have changed
         const capsBefore = [...mappedDevice.getCapabilities()].sort().join(',');
         const capsAfter  = [...device.capabilities].sort().join(',');
-        if (capsBefore !== capsAfter) {
-          this.log(`- capabilities have changed (before=${ capsBefore } after=${ capsAfter })`)
-          this.log(`- will have to add device again as new`);
-          await this.deleteDeviceFromHomeKit(device);
-        }
-        // check if device class has changed
-        else if (mappedDevice.getClass() !== device.class) {
-          this.log(`- device class has changed (before=${ mappedDevice.getClass() } after=${ device.class })`)
-          this.log(`- will have to add device again as new`);
-          await this.deleteDeviceFromHomeKit(device);
-        }
-        // device hasn't changed
-        else {
-          addDevice = false;
+        if (capsBefore !== capsAfter || mappedDevice.getClass() !== device.class) {
+          if (capsBefore !== capsAfter) {
+            this.log(`- capabilities have changed (before=${ capsBefore } after=${ capsAfter })`)
+          } else {
+            this.log(`- device class has changed (before=${ mappedDevice.getClass() } after=${ device.class })`)
+          }
+          this.log(`- will update accessory in place`);
+          if (! DeviceMapper.remapDevice(device)) {
+            this.log(`- device can no longer be mapped, removing it`);
+            await this.deleteDeviceFromHomeKit(device);
+          }
         }
+        addDevice = false;
+
+        // propagate availability of the device
+        DeviceMapper.getDeviceById(device.id)?.setAvailable(device.available, device.unavailableMessage);
       } else {
         this.log('- not yet exposed via HomeKit, will add it as new');
       }
@@ -527,6 +706,9 @@ module.exports = class HomeKitty extends Homey.App {
           device.homekitty = {
             supported: DeviceMapper.canMapDevice(device),
             exposed:   this.#exposed.get(device.id) !== false,
+            maps:      DeviceMapper.getCompatibleMaps(device),
+            map:       this.#options.get(device.id)?.map ?? null,
+            ranking:   DeviceMapper.getDeviceById(device.id)?.getRanking() ?? [],
           }
           return device;
         });
@@ -584,6 +766,175 @@ module.exports = class HomeKitty extends Homey.App {
       return 'ok';
     },
 
+    async getDeviceMapping(id) {
+      const device = await this.getDeviceById(id);
+      if (! device) {
+        throw Error('API_DEVICE_NOT_FOUND');
+      }
+      return {
+        ...DeviceMapper.explainDevice(device),
+        supported       : DeviceMapper.canMapDevice(device),
+        ranking         : DeviceMapper.getDeviceById(device.id)?.getRanking() ?? [],
+        confirmable     : !! DeviceMapper.getDeviceById(device.id)?.isConfirmable(),
+        canBeStandalone : !! DeviceMapper.getDeviceById(device.id)?.canBeStandalone(),
+        calibratable    : !! DeviceMapper.getDeviceById(device.id)?.isCalibratable(),
+        options         : this.#options.get(device.id) ?? {},
+        // setup code of the device when it's published as standalone accessory
+        pincode         : this.homey.settings.get(Constants.SETTINGS_STANDALONE_CREDENTIALS)?.[device.id]?.pincode ?? null,
+      };
+    },
+
+    async setDeviceMap(id, map) {
+      const device = await this.getDeviceById(id);
+      if (! device) {
+        throw Error('API_SET_DEVICE_MAP_FAILED');
+      }
+
+      // an empty map name means "automatic"
+      map = map || null;
+      if (map && ! DeviceMapper.getCompatibleMaps(device).includes(map)) {
+        throw Error('API_INVALID_MAP');
+      }
+
+      // update device options, which will remap the device
+      if (! await this.setDeviceOptions(device, { map })) {
+        throw Error('API_SET_DEVICE_MAP_FAILED');
+      }
+
+      // done
+      return 'ok';
+    },
+
+    async setDeviceTransforms(id, transforms) {
+      const device = await this.getDeviceById(id);
+      if (! device) {
+        throw Error('API_DEVICE_NOT_FOUND');
+      }
+
+      // don't store invalid transforms, but let the user know what's wrong with them
+      const errors = validateTransforms(transforms ?? {}, device.capabilitiesObj);
+      if (errors.length) {
+        return { errors };
+      }
+
+      // update device options, which will remap the device
+      if (! await this.setDeviceOptions(device, { transforms : Object.keys(transforms ?? {}).length ? transforms : null })) {
+        throw Error('API_SET_DEVICE_OPTIONS_FAILED');
+      }
+
+      // done
+      return { errors : [] };
+    },
+
+    async setDeviceConfirmation(id, confirmed, timeout) {
+      const device = await this.getDeviceById(id);
+      if (! device) {
+        throw Error('API_DEVICE_NOT_FOUND');
+      }
+      if (typeof confirmed !== 'boolean' || (timeout != null && ! (typeof timeout === 'number' && timeout > 0))) {
+        throw Error('API_INVALID_CONFIRMATION');
+      }
+
+      // confirmed mode is opt-in, so only store it when it's turned on
+      if (! await this.setDeviceOptions(device, { confirmed : confirmed || null, confirmTimeout : timeout })) {
+        throw Error('API_SET_DEVICE_OPTIONS_FAILED');
+      }
+
+      // done
+      return 'ok';
+    },
+
+    async setDeviceTravelTime(id, travelTime) {
+      const device = await this.getDeviceById(id);
+      if (! device) {
+        throw Error('API_DEVICE_NOT_FOUND');
+      }
+      if (travelTime != null && ! (typeof travelTime === 'number' && Number.isFinite(travelTime) && travelTime > 0)) {
+        throw Error('API_INVALID_TRAVEL_TIME');
+      }
+
+      if (! await this.setDeviceOptions(device, { travelTime })) {
+        throw Error('API_SET_DEVICE_OPTIONS_FAILED');
+      }
+
+      // done
+      return 'ok';
+    },
+
+    async setDeviceStandalone(id, standalone) {
+      const device = await this.getDeviceById(id);
+      if (! device) {
+        throw Error('API_DEVICE_NOT_FOUND');
+      }
+      if (typeof standalone !== 'boolean' || (standalone && ! DeviceMapper.getDeviceById(id)?.canBeStandalone())) {
+        throw Error('API_INVALID_STANDALONE');
+      }
+
+      // the device has to be removed from HomeKit and published again
+      const exposed = !! this.getAccessoryById(id);
+      if (exposed && ! await this.deleteDeviceFromHomeKit(device)) {
+        throw Error('API_SET_DEVICE_OPTIONS_FAILED');
+      }
+      if (standalone) {
+        this.getStandaloneCredentials(id);
+      }
+      await this.setDeviceOptions(device, { standalone : standalone || null });
+      if (exposed && ! await this.addDeviceToHomeKit(device)) {
+        throw Error('API_ADD_DEVICE_FAILED');
+      }
+
+      // done
+      return 'ok';
+    },
+
+    async getUserMaps() {
+      return {
+        maps   : this.homey.settings.get(Constants.SETTINGS_USER_MAPS) || [],
+        errors : this.#userMapErrors,
+      };
+    },
+
+    async getInvalidMaps() {
+      return DeviceMapper.getInvalidMaps();
+    },
+
+    async setUserMaps(definitions) {
+      if (! Array.isArray(definitions)) {
+        throw Error('API_INVALID_USER_MAPS');
+      }
+
+      // don't store invalid maps, but let the user know what's wrong with them
+      const { errors } = DeviceMapper.compileUserMaps(definitions);
+      if (errors.length) {
+        return { errors };
+      }
+
+      // store maps and restart the app to load them
+      this.homey.settings.set(Constants.SETTINGS_USER_MAPS, definitions);
+      setTimeout(() => this.exit(), 1000);
+      return { errors : [] };
+    },
+
+    async getThresholds() {
+      return {
+        thresholds : DeviceMapper.getThresholds(),
+        errors     : [],
+      };
+    },
+
+    async setThresholds(thresholds) {
+      // don't store invalid thresholds, but let the user know what's wrong with them
+      const errors = validateThresholds(thresholds ?? {});
+      if (errors.length) {
+        return { errors };
+      }
+
+      // store thresholds and apply them (new sensor readings will use them)
+      this.homey.settings.set(Constants.SETTINGS_THRESHOLDS, thresholds);
+      DeviceMapper.setThresholds(thresholds);
+      return { errors : [] };
+    },
+
     async reset() {
       await this.reset(true);
       return 'ok';
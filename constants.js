@@ -2,6 +2,7 @@ module.exports = {
   // DON'T CHANGE THESE UNLESS YOU KNOW WHAT YOU'RE DOING
   BRIDGE_FIRMWARE_REVISION:        '3.0',
   PERSISTENCE_DIRECTORY_PREFIX:    '/userdata/homekitty-persist',
+  HISTORY_DIRECTORY:               'history',
   // defaults
   DEFAULT_BRIDGE_IDENTIFIER:       'HomeKitty',
   DEFAULT_USERNAME:                'FA:CE:13:37:CA:75',
@@ -16,4 +17,9 @@ module.exports = {
   SETTINGS_BRIDGE_SETUP_ID:        'Bridge.SetupID',
   SETTINGS_BRIDGE_PINCODE:         'Bridge.Pincode',
   SETTINGS_EXPOSE_MAP:             'HomeKit.Exposed',
+  SETTINGS_DEVICE_OPTIONS:         'HomeKit.DeviceOptions',
+  SETTINGS_DEVICE_STATES:          'HomeKit.DeviceStates',
+  SETTINGS_USER_MAPS:              'Maps.UserDefined',
+  SETTINGS_THRESHOLDS:             'Maps.Thresholds',
+  SETTINGS_STANDALONE_CREDENTIALS: 'HomeKit.StandaloneCredentials',
 };
@@ -1,24 +1,80 @@
-const { Accessory, Service, Characteristic, AccessoryEventTypes, uuid } = require('../modules/hap-nodejs');
+const { Accessory, Service, Characteristic, AccessoryEventTypes, HapStatusError, HAPStatus, uuid } = require('../modules/hap-nodejs');
 const { MappedDevice } = require('./mapped-device');
+const { compileUserMap } = require('./user-maps');
+const { validateMap }    = require('./map-validator');
+const { mergeThresholds } = require('./thresholds');
 
 const Mapper = module.exports = new (class MapperImpl {
   // private
   #MAPS    = [];
+  #INVALID = [];
   #DEVICES = {};
+  #options = new Map();
+  #thresholds = mergeThresholds();
+  #history = null;
+  #states  = new Map();
   #logger  = console.log;
   Constants = {
     NO_VALUE : Symbol('NO_VALUE')
   };
 
+  // maps can throw these from their own handlers to report a HAP status
+  Errors = {
+    HapStatusError,
+    HAPStatus,
+  };
+
   // "statics"
   Utils = {
     normalizeCapability     : cap => cap.split('.')[0],
     normalizeCapabilities   : caps => Object.keys(caps.reduce((acc, cap) => (acc[Mapper.Utils.normalizeCapability(cap)] = true, acc), {})),
     hasCapability           : (device, cap) => device.capabilities?.some(capability => Mapper.Utils.normalizeCapability(capability) === cap),
     allCapabilitiesMatching : (device, cap) => device.capabilities?.filter(capability => capability === cap || capability.startsWith(`${ cap }.`)) || [],
-    hasCapabilityWithValue  : (device, cap, value) => Mapper.Utils.allCapabilitiesMatching(device, cap).some(capability => device.capabilitiesObj?.[capability]?.value === value),
+    // Capability updates are mapped before the device state is updated, so
+    // getters that look at other capabilities pass the update (`{ capability,
+    // value }`) to use the new value of the capability being updated.
+    getCapabilityValue      : (device, cap, update) => cap === update?.capability ? update.value : device.capabilitiesObj?.[cap]?.value,
+    hasCapabilityWithValue  : (device, cap, value, update) => Mapper.Utils.allCapabilitiesMatching(device, cap).some(capability => Mapper.Utils.getCapabilityValue(device, capability, update) === value),
     upperFirst              : s => String(s).replace(/^./, m => m[0].toUpperCase()),
     mapValue                : (value, x1, y1, x2, y2) => (value - x1) * (y2 - x2) / (y1 - x1) + x2,
+    roundToStep             : (value, step) => step > 0 ? Number((Math.round(value / step) * step).toFixed(10)) : value,
+    isFahrenheit            : (device, cap) => device.capabilitiesObj?.[cap]?.units === '°F',
+    toCelsius               : value => (value - 32) * 5 / 9,
+    toFahrenheit            : value => value * 9 / 5 + 32,
+    // HomeKit always uses Celsius internally, but can display Fahrenheit if
+    // the device reports its temperatures in Fahrenheit
+    temperatureDisplayUnits : device => {
+      const capabilities = [ 'measure_temperature', 'target_temperature' ].flatMap(cap => Mapper.Utils.allCapabilitiesMatching(device, cap));
+      return capabilities.some(cap => Mapper.Utils.isFahrenheit(device, cap)) ? 'FAHRENHEIT' : 'CELSIUS';
+    },
+    updateDisplayUnits      : (service, device) => {
+      service.getCharacteristic(Characteristic.TemperatureDisplayUnits).updateValue(Characteristic.TemperatureDisplayUnits[ Mapper.Utils.temperatureDisplayUnits(device) ]);
+    },
+    getCharacteristicValue  : (service, characteristic) => service.testCharacteristic(characteristic) ? service.getCharacteristic(characteristic).value : null,
+    // devices without a mode capability support a single (fake) mode
+    setSingleMode           : (service, characteristic, mode) => {
+      service.getCharacteristic(characteristic).updateValue(mode).setProps({
+        validValues: [ mode ],
+        minValue:    mode,
+        maxValue:    mode,
+      });
+    },
+    // Estimates what devices that raise or lower a measurement (like heaters
+    // and coolers) are doing, if they don't report it themselves. `raise` and
+    // `lower` are the `{ mode, threshold, state }` of either direction, and
+    // devices without a threshold are assumed to work whenever they're on.
+    estimateCurrentState    : (service, { mode, current, raise, lower, idle, inactive }) => {
+      const getValue = characteristic => Mapper.Utils.getCharacteristicValue(service, characteristic);
+      if (getValue(Characteristic.Active) !== Characteristic.Active.ACTIVE) return inactive;
+      const value = getValue(current);
+      const low   = getValue(raise.threshold);
+      const high  = getValue(lower.threshold);
+      switch (getValue(mode)) {
+        case raise.mode: return low  == null || value < low  ? raise.state : idle;
+        case lower.mode: return high == null || value > high ? lower.state : idle;
+        default:         return low != null && value < low ? raise.state : high != null && value > high ? lower.state : idle;
+      }
+    },
   };
 
   Fixed = {
@@ -31,34 +87,175 @@ const Mapper = module.exports = new (class MapperImpl {
     this.#logger = logger;
   }
 
+  setDeviceOptions(options) {
+    this.#options = options;
+  }
+
+  getDeviceOptions(id) {
+    return this.#options.get(id) || {};
+  }
+
+  // Persistent state that maps can keep for a device (like the estimated
+  // position of a window covering).
+  setDeviceStates(states) {
+    this.#states = states;
+  }
+
+  getDeviceState(id) {
+    return this.#states.get(id) || {};
+  }
+
+  setDeviceState(id, changes) {
+    this.#states.set(id, { ...this.getDeviceState(id), ...changes });
+    this.#states.save?.();
+  }
+
+  setThresholds(thresholds) {
+    this.#thresholds = mergeThresholds(thresholds);
+  }
+
+  getThresholds() {
+    return this.#thresholds;
+  }
+
+  // Store in which the capability updates of mapped devices are recorded
+  // (see `history.js`).
+  setHistory(history) {
+    this.#history = history;
+  }
+
+  getHistory() {
+    return this.#history;
+  }
+
   createMap(obj) {
-    // XXX: validate `obj`
+    const errors = validateMap(obj);
+    if (errors.length) {
+      this.#INVALID.push({ name : obj?.name ?? null, userDefined : !! obj?.userDefined, errors });
+      this.#logger(`map '${ obj?.name }' is invalid and will be skipped:`);
+      errors.forEach(({ path, message }) => this.#logger(`- ${ path }: ${ message }`));
+      return false;
+    }
     this.#MAPS.push(obj);
+    return true;
   }
 
-  mapDevice(device) {
-    const FAIL = device => ( this.#DEVICES[device.id] = null, null );
+  // Returns the list of maps that failed validation (and why).
+  getInvalidMaps() {
+    return this.#INVALID;
+  }
+
+  // Compiles a list of user-defined map definitions, returning the compiled
+  // maps and a list of errors (one entry for each invalid definition).
+  compileUserMaps(definitions) {
+    const maps   = [];
+    const errors = [];
+    for (const definition of [ definitions ?? [] ].flat()) {
+      try {
+        const map = compileUserMap(this, definition);
+        const invalid = validateMap(map);
+        if (invalid.length) {
+          throw Object.assign(Error(`invalid map '${ map.name }'`), { errors : invalid });
+        }
+        // (previously loaded user-defined maps are about to be replaced, so they don't count)
+        if (this.#MAPS.some(m => m.name === map.name && ! m.userDefined) || maps.some(m => m.name === map.name)) {
+          throw Object.assign(Error(`duplicate map name '${ map.name }'`), { errors : [ { path : 'name', message : `a map called '${ map.name }' already exists` } ] });
+        }
+        maps.push(map);
+      } catch(e) {
+        errors.push({ name : definition?.name ?? null, errors : e.errors || [ { path : '', message : e.message } ] });
+      }
+    }
+    return { maps, errors };
+  }
+
+  // Loads user-defined maps next to the built-in ones. Invalid definitions are
+  // skipped and returned as a list of errors.
+  loadUserMaps(definitions) {
+    const { maps, errors } = this.compileUserMaps(definitions);
+    for (const map of maps) {
+      map.userDefined = true;
+      this.createMap(map);
+    }
+    for (const error of errors) {
+      this.#INVALID.push({ ...error, userDefined : true });
+    }
+    return errors;
+  }
 
+  mapDevice(device) {
     // check cache first
     if (device.id in this.#DEVICES) return this.#DEVICES[device.id];
 
+    // find the maps to use for this device
+    const selection = this.selectMaps(device);
+    if (! selection) {
+      return this.#DEVICES[device.id] = null;
+    }
+
+    // start with the highest ranked map
+    const [ first, ...rest ] = selection.maps;
+    const mappedDevice = this.#DEVICES[device.id] = new MappedDevice(this, device, first, this.#logger);
+    mappedDevice.setRanking(selection.ranking);
+
+    // then apply the next maps
+    for (const map of rest) {
+      mappedDevice.addMap(map);
+    }
+
+    // Done
+    return mappedDevice;
+  }
+
+  // Remaps a device after its capabilities or class have changed. If the device
+  // was mapped before, its mapped device is updated in place. Returns `null`
+  // if the device can't be mapped anymore.
+  remapDevice(device) {
+    const mappedDevice = this.#DEVICES[device.id];
+    if (! mappedDevice) {
+      this.forgetDevice(device);
+      return this.mapDevice(device);
+    }
+
+    const selection = this.selectMaps(device);
+    if (! selection) {
+      this.forgetDevice(device);
+      return null;
+    }
+    mappedDevice.update(device, selection.maps);
+    mappedDevice.setRanking(selection.ranking);
+    return mappedDevice;
+  }
+
+  // Determines which maps should be used for a device, and how they rank.
+  // Returns `null` if there are no usable maps.
+  selectMaps(device) {
+    // load list of capabilities based on UI visibility and normalize them
+    const capabilities = this.getVisibleCapabilities(device);
+
+    // if the user picked a specific map for this device, use only that one
+    const override = this.getDeviceOptions(device.id).map;
+    if (override) {
+      const map = this.#MAPS.find(map => map.name === override);
+      if (map && this.isUsableMap(map, capabilities, device)) {
+        return {
+          maps    : [ map ],
+          ranking : [ { ...this.scoreMap(map, device, capabilities), usable : true, picked : true, override : true } ],
+        };
+      }
+      this.#logger(`[${ device.name }] map override '${ override }' is not usable for this device, ignoring it`);
+    }
+
     // find maps that match the device class or virtual class
     const possibleMaps = this.#MAPS.filter(map => {
       const classes = [ map.class ].flat();
       return classes.includes(device.class) || classes.includes(device.virtualClass);
     });
-    if (! possibleMaps.length) return FAIL(device);
-
-    // load list of capabilities based on UI visibility and normalize them
-    const capabilities = Mapper.Utils.normalizeCapabilities(device.ui?.components?.map(c => c.capabilities).flat() || []);
+    if (! possibleMaps.length) return null;
 
     // filter possible maps against required and forbidden capabilities
-    const usableMaps = possibleMaps.filter(map => {
-      const required  = Object.keys(map.required);
-      const forbidden = map.forbidden || [];
-      return required.every(cap => capabilities.includes(cap)) && ! forbidden.some(cap => capabilities.includes(cap));
-    });
-    if (! usableMaps.length) return FAIL(device);
+    const usableMaps = possibleMaps.filter(map => this.isUsableMap(map, capabilities, device));
+    if (! usableMaps.length) return null;
 
     // now find maps that match the virtual device class, which we prefer
     const preferredMaps = usableMaps.filter(map => {
@@ -66,25 +263,106 @@ const Mapper = module.exports = new (class MapperImpl {
       return classes.includes(device.virtualClass);
     });
 
-    // TODO: sort maps on number of matching capabilities
+    // sort maps on number of matching capabilities, using the specificity of
+    // the map class as a tie breaker
+    const scores     = new Map(possibleMaps.map(map => [ map, this.scoreMap(map, device, capabilities) ]));
+    const actualMaps = (preferredMaps.length ? preferredMaps : usableMaps).sort((a, b) => {
+      const [ scoreA, scoreB ] = [ scores.get(a), scores.get(b) ];
+      return (scoreB.score - scoreA.score) || (scoreB.specificity - scoreA.specificity);
+    });
 
-    // start with the first map
-    const actualMaps = preferredMaps.length ? preferredMaps : usableMaps;
-    const mappedDevice = this.#DEVICES[device.id] = new MappedDevice(this, device, actualMaps.shift(), this.#logger);
+    // record the ranking so we can explain why a device was mapped the way it was
+    const ranking = [ ...actualMaps, ...possibleMaps.filter(map => ! actualMaps.includes(map)) ].map(map => ({
+      ...scores.get(map),
+      usable : usableMaps.includes(map),
+      picked : actualMaps.includes(map),
+    }));
 
-    // then apply the next maps
-    for (const map of actualMaps) {
-      mappedDevice.addMap(map);
+    return { maps : actualMaps, ranking };
+  }
+
+  // Scores a map for a device. The score is the number of required and optional
+  // capabilities of the map that the device has. The specificity is used to
+  // break ties: maps that match the virtual device class are the most specific,
+  // otherwise maps that claim fewer device classes are more specific.
+  scoreMap(map, device, capabilities) {
+    const classes = [ map.class ].flat();
+    const covered = [ ...Object.keys(map.required), ...Object.keys(map.optional || {}) ];
+    return {
+      name        : map.name,
+      score       : covered.filter(cap => capabilities.includes(cap)).length,
+      specificity : (classes.includes(device.virtualClass) ? 1 : 0) + 1 / classes.length,
+    };
+  }
+
+  getVisibleCapabilities(device) {
+    return Mapper.Utils.normalizeCapabilities(device.ui?.components?.map(c => c.capabilities).flat() || []);
+  }
+
+  // A map is usable if the device has all its required capabilities and none
+  // of its forbidden ones, and (if the map has one) its `match` predicate
+  // accepts the device (grouped maps are also asked about each group when
+  // the services are created).
+  isUsableMap(map, capabilities, device) {
+    const required  = Object.keys(map.required);
+    const forbidden = map.forbidden || [];
+    if (! required.every(cap => capabilities.includes(cap)) || forbidden.some(cap => capabilities.includes(cap))) {
+      return false;
     }
+    return typeof map.match !== 'function' || !! map.match(device);
+  }
 
-    // Done
-    return mappedDevice;
+  // Returns the names of all maps that can be used for a device based on its
+  // capabilities alone (so regardless of device class), which allows users to
+  // override the automatic selection. Maps matching the device class go first.
+  getCompatibleMaps(device) {
+    const capabilities = this.getVisibleCapabilities(device);
+    const matchesClass = map => [ map.class ].flat().some(cls => cls === device.class || cls === device.virtualClass);
+    return this.#MAPS
+      .filter(map => this.isUsableMap(map, capabilities, device))
+      .sort((a, b) => matchesClass(b) - matchesClass(a))
+      .map(map => map.name);
+  }
+
+  // Explains how a device would be mapped: for every map that matches the
+  // device (virtual) class, lists the required capabilities that are missing,
+  // the forbidden capabilities that block it, and the capabilities that are
+  // ignored because they aren't visible in the device UI.
+  explainDevice(device) {
+    const capabilities = this.getVisibleCapabilities(device);
+    const hidden       = Mapper.Utils.normalizeCapabilities(device.capabilities || []).filter(cap => ! capabilities.includes(cap));
+
+    const maps = this.#MAPS.filter(map => {
+      const classes = [ map.class ].flat();
+      return classes.includes(device.class) || classes.includes(device.virtualClass);
+    }).map(map => {
+      const covered = [ ...Object.keys(map.required), ...Object.keys(map.optional || {}), ...Object.keys(map.triggers || {}) ];
+      return {
+        name      : map.name,
+        usable    : this.isUsableMap(map, capabilities, device),
+        missing   : Object.keys(map.required).filter(cap => ! capabilities.includes(cap)),
+        forbidden : (map.forbidden || []).filter(cap => capabilities.includes(cap)),
+        hidden    : covered.filter(cap => hidden.includes(cap)),
+      };
+    });
+
+    return {
+      id           : device.id,
+      name         : device.name,
+      class        : device.class,
+      virtualClass : device.virtualClass ?? null,
+      capabilities,
+      hidden,
+      maps,
+    };
   }
 
   forgetDevice(device) {
     const mappedDevice = this.#DEVICES[device.id];
-    if (! mappedDevice) return;
-    mappedDevice.cleanup();
+    if (mappedDevice) {
+      mappedDevice.cleanup();
+    }
+    // also removes cached failures, so the device can be remapped
     delete this.#DEVICES[device.id];
   }
 
@@ -100,8 +378,12 @@ const Mapper = module.exports = new (class MapperImpl {
 require('./mapper-accessors')(Mapper);
 require('./mapper-characteristics')(Mapper);
 
+// a map file can also return a list of maps, which get their own name
+// appended to the name of the file
 Object.entries(require('require-all')(__dirname + '/maps')).forEach(([ name, mapperFunction ]) => {
-  const mapper = mapperFunction(Mapper, Service, Characteristic, Accessory);
-  mapper.name  = name;
-  Mapper.createMap(mapper);
+  const result = mapperFunction(Mapper, Service, Characteristic, Accessory);
+  for (const mapper of [ result ].flat()) {
+    mapper.name = Array.isArray(result) && mapper.name ? `${ name }-${ mapper.name }` : name;
+    Mapper.createMap(mapper);
+  }
 });
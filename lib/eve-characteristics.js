@@ -0,0 +1,65 @@
+const { Characteristic, Formats, Perms } = require('../modules/hap-nodejs');
+
+// Custom characteristics used by Eve devices, which aren't part of the HomeKit
+// specification. The Home app ignores them, but the Eve app (and several
+// other third-party apps) show them as power consumption readings and
+// door/motion statistics.
+
+class EveCharacteristic extends Characteristic {
+  constructor(displayName, UUID, props) {
+    super(displayName, UUID, {
+      format : Formats.FLOAT,
+      perms  : [ Perms.PAIRED_READ, Perms.NOTIFY ],
+      minValue : 0,
+      ...props,
+    });
+    this.value = this.getDefaultValue();
+  }
+}
+
+class EveVoltage extends EveCharacteristic {
+  static UUID = 'E863F10A-079E-48FF-8F27-9C2605A29F52';
+  constructor() {
+    super('Voltage', EveVoltage.UUID, { unit : 'V', maxValue : 1000, minStep : 0.1 });
+  }
+}
+
+class EveElectricCurrent extends EveCharacteristic {
+  static UUID = 'E863F126-079E-48FF-8F27-9C2605A29F52';
+  constructor() {
+    super('Electric Current', EveElectricCurrent.UUID, { unit : 'A', maxValue : 100, minStep : 0.01 });
+  }
+}
+
+class EvePower extends EveCharacteristic {
+  static UUID = 'E863F10D-079E-48FF-8F27-9C2605A29F52';
+  constructor() {
+    super('Consumption', EvePower.UUID, { unit : 'W', maxValue : 100000, minStep : 0.1 });
+  }
+}
+
+class EveTotalConsumption extends EveCharacteristic {
+  static UUID = 'E863F10C-079E-48FF-8F27-9C2605A29F52';
+  constructor() {
+    super('Total Consumption', EveTotalConsumption.UUID, { unit : 'kWh', maxValue : 100000000, minStep : 0.01 });
+  }
+}
+
+// number of times a door has been opened
+class EveTimesOpened extends EveCharacteristic {
+  static UUID = 'E863F129-079E-48FF-8F27-9C2605A29F52';
+  constructor() {
+    super('Times Opened', EveTimesOpened.UUID, { format : Formats.UINT32, maxValue : 0xFFFFFFFF, minStep : 1 });
+  }
+}
+
+// seconds between the start of the history and the last time a door was
+// opened or motion was detected
+class EveLastActivation extends EveCharacteristic {
+  static UUID = 'E863F11A-079E-48FF-8F27-9C2605A29F52';
+  constructor() {
+    super('Last Activation', EveLastActivation.UUID, { format : Formats.UINT32, maxValue : 0xFFFFFFFF, minStep : 1 });
+  }
+}
+
+module.exports = { EveVoltage, EveElectricCurrent, EvePower, EveTotalConsumption, EveTimesOpened, EveLastActivation };
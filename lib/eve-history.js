@@ -0,0 +1,214 @@
+const { Service, Characteristic, Formats, Perms } = require('../modules/hap-nodejs');
+const { EveTimesOpened, EveLastActivation }       = require('./eve-characteristics');
+
+// Serves a device history (see `history.js`) through the history service that
+// Eve devices use, so the Eve app can show graphs. The protocol isn't
+// documented by Eve; this follows the format as implemented by the
+// `fakegato-history` project:
+//
+// - the app reads the history status, which tells it the type of history,
+//   its reference time and which entries are available;
+// - it then writes the number of the first entry it wants to receive, and
+//   keeps reading entries (in chunks) until it receives an empty chunk.
+//
+// All numbers are little-endian, and times are in seconds since the start of
+// the history (except for the reference time, which is in seconds since
+// 2001-01-01).
+
+// difference between the Unix epoch and the Eve epoch (2001-01-01)
+const EPOCH_OFFSET = 978307200;
+
+// maximum number of entries sent per read
+const CHUNK_SIZE = 11;
+
+// the type signature as reported in the history status, and the type of
+// entries, for each history type
+const SIGNATURES = {
+  room   : { status : '040102020204020f03', entry : 0x0f },
+  energy : { status : '040102020207020f03', entry : 0x1f },
+  door   : { status : '010601',             entry : 0x01 },
+  motion : { status : '0213011c01',         entry : 0x02 },
+};
+
+// services that show the statistics of event types
+const SENSORS = {
+  door   : { service : Service.ContactSensor, characteristics : [ EveTimesOpened, EveLastActivation ] },
+  motion : { service : Service.MotionSensor,  characteristics : [ EveLastActivation ] },
+};
+
+class EveDataCharacteristic extends Characteristic {
+  constructor(displayName, UUID, perms) {
+    super(displayName, UUID, { format : Formats.DATA, perms : [ ...perms, Perms.HIDDEN ] });
+    this.value = this.getDefaultValue();
+  }
+}
+
+class EveHistoryStatus extends EveDataCharacteristic {
+  static UUID = 'E863F116-079E-48FF-8F27-9C2605A29F52';
+  constructor() {
+    super('History Status', EveHistoryStatus.UUID, [ Perms.PAIRED_READ, Perms.NOTIFY ]);
+  }
+}
+
+class EveHistoryEntries extends EveDataCharacteristic {
+  static UUID = 'E863F117-079E-48FF-8F27-9C2605A29F52';
+  constructor() {
+    super('History Entries', EveHistoryEntries.UUID, [ Perms.PAIRED_READ, Perms.NOTIFY ]);
+  }
+}
+
+class EveHistoryRequest extends EveDataCharacteristic {
+  static UUID = 'E863F11C-079E-48FF-8F27-9C2605A29F52';
+  constructor() {
+    super('History Request', EveHistoryRequest.UUID, [ Perms.PAIRED_WRITE ]);
+  }
+}
+
+class EveSetTime extends EveDataCharacteristic {
+  static UUID = 'E863F121-079E-48FF-8F27-9C2605A29F52';
+  constructor() {
+    super('Set Time', EveSetTime.UUID, [ Perms.PAIRED_WRITE ]);
+  }
+}
+
+class EveHistoryService extends Service {
+  static UUID = 'E863F007-079E-48FF-8F27-9C2605A29F52';
+  constructor(displayName, subtype) {
+    super(displayName, EveHistoryService.UUID, subtype);
+    this.addCharacteristic(EveHistoryStatus);
+    this.addCharacteristic(EveHistoryEntries);
+    this.addCharacteristic(EveHistoryRequest);
+    this.addCharacteristic(EveSetTime);
+  }
+}
+
+const uint8  = value => Buffer.from([ value & 0xFF ]);
+const uint16 = value => { const buf = Buffer.alloc(2); buf.writeUInt16LE(Math.max(0, Math.min(0xFFFF, Math.round(value)))); return buf; };
+const int16  = value => { const buf = Buffer.alloc(2); buf.writeInt16LE(Math.max(-0x8000, Math.min(0x7FFF, Math.round(value)))); return buf; };
+const uint32 = value => { const buf = Buffer.alloc(4); buf.writeUInt32LE(Math.max(0, Math.min(0xFFFFFFFF, Math.round(value)))); return buf; };
+const hex    = value => Buffer.from(value, 'hex');
+
+// prefixes a record with its length (including the length byte itself)
+const record = (...parts) => {
+  const data = Buffer.concat(parts);
+  return Buffer.concat([ uint8(data.length + 1), data ]);
+};
+
+class EveHistory {
+  #history;
+  #service  = null;
+  #sensor   = null;
+  #current  = 0;
+  #transfer = false;
+
+  constructor(history) {
+    this.#history = history;
+  }
+
+  // Adds the history service (and statistics, for event types) to an
+  // accessory, and returns the history service.
+  attach(accessory, services) {
+    const service = this.#service = accessory.getService(EveHistoryService) || accessory.addService(EveHistoryService, 'History');
+    service.getCharacteristic(EveHistoryStatus).onGet(() => this.getStatus());
+    service.getCharacteristic(EveHistoryEntries).onGet(() => this.getEntries());
+    service.getCharacteristic(EveHistoryRequest).onSet(value => this.request(value));
+    service.getCharacteristic(EveSetTime).onSet(() => {});
+
+    const sensor = SENSORS[this.#history.type];
+    this.#sensor = sensor ? [ ...services ].find(service => service.UUID === sensor.service.UUID) ?? null : null;
+    for (const klass of sensor && this.#sensor ? sensor.characteristics : []) {
+      if (! this.#sensor.optionalCharacteristics.some(c => c.UUID === klass.UUID)) {
+        this.#sensor.addOptionalCharacteristic(klass);
+      }
+      this.#sensor.getCharacteristic(klass);
+    }
+    this.refresh();
+
+    return service;
+  }
+
+  // Records a capability value, and lets the app know if the history changed.
+  record(capability, value) {
+    if (this.#history.record(capability, value)) {
+      this.refresh();
+    }
+  }
+
+  refresh() {
+    const { timesOpened, lastActivation } = this.#history.counters;
+    this.#sensor?.getCharacteristic(EveLastActivation).updateValue(lastActivation);
+    if (this.#history.type === 'door') {
+      this.#sensor?.getCharacteristic(EveTimesOpened).updateValue(timesOpened);
+    }
+    this.#service?.getCharacteristic(EveHistoryStatus).updateValue(this.getStatus());
+  }
+
+  getStatus() {
+    const history     = this.#history;
+    const entries     = history.entries;
+    const initialTime = history.getInitialTime() ?? 0;
+    const last        = entries.get(entries.count);
+    return Buffer.concat([
+      uint32(last ? last[0] - initialTime : 0),
+      hex('00000000'),
+      uint32(initialTime ? initialTime - EPOCH_OFFSET : 0),
+      hex(SIGNATURES[history.type].status),
+      uint16(entries.used),
+      uint16(entries.size),
+      uint32(entries.count ? entries.first - 1 : 0),
+      hex('000000000101'),
+    ]).toString('base64');
+  }
+
+  // The app requests entries starting from a specific entry number.
+  request(value) {
+    const data    = Buffer.from(String(value), 'base64');
+    const address = data.length >= 6 ? data.readUInt32LE(2) : 0;
+    this.#current  = Math.max(address || 1, this.#history.entries.first);
+    this.#transfer = true;
+  }
+
+  getEntries() {
+    const entries = this.#history.entries;
+    if (! this.#transfer || this.#current > entries.count) {
+      this.#transfer = false;
+      return hex('00').toString('base64');
+    }
+    const chunk = [];
+    while (chunk.length < CHUNK_SIZE && this.#current <= entries.count) {
+      chunk.push(this.encodeEntry(this.#current, entries.get(this.#current)));
+      this.#current++;
+    }
+    return Buffer.concat(chunk).toString('base64');
+  }
+
+  encodeEntry(number, entry) {
+    const history     = this.#history;
+    const initialTime = history.getInitialTime();
+    const [ time, ...values ] = entry;
+
+    // reference entries (and the oldest entry, so the app can always work out
+    // the times of the entries that follow) carry the reference time
+    if (! values.length || number === history.entries.first) {
+      return record(uint32(number), hex('01000000'), hex('81'), uint32(initialTime - EPOCH_OFFSET), hex('00000000'), hex('00'), hex('0000'));
+    }
+
+    const header = [ uint32(number), uint32(time - initialTime), uint8(SIGNATURES[history.type].entry) ];
+    switch (history.type) {
+      case 'room': {
+        const [ temp, humidity, ppm ] = values;
+        return record(...header, int16(temp * 100), uint16(humidity * 100), uint16(ppm), hex('000000'));
+      }
+      case 'energy': {
+        const [ power ] = values;
+        return record(...header, hex('00000000'), uint16(power * 10), hex('00000000'));
+      }
+      default: {
+        const [ status ] = values;
+        return record(...header, uint8(status));
+      }
+    }
+  }
+}
+
+module.exports = { EveHistory, EveHistoryService };
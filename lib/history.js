@@ -0,0 +1,306 @@
+const { join : pathJoin } = require('node:path');
+const fs                  = require('node:fs');
+
+// Persistent history of capability values, used to show graphs in apps that
+// support Eve-style history (see `eve-history.js`). Each device has a single
+// history type, based on its capabilities, which determines what gets
+// recorded:
+//
+// - sampled types keep the latest value of each field, and record all of
+//   them at a fixed interval;
+// - event types record an entry every time their status changes.
+//
+// Entries are stored as arrays (`[ time, ...values ]`, with `time` in seconds)
+// to keep memory usage down. The first entry of a history is a reference entry
+// (`[ time ]`), which marks the start of the history.
+
+// default number of entries per device (28 days at 10 minute intervals)
+const HISTORY_SIZE = 4032;
+
+// interval at which sampled types record their values
+const SAMPLE_INTERVAL = 10 * 60 * 1000;
+
+const HISTORY_TYPES = {
+  door   : { event : true, fields : { alarm_contact : 'status' } },
+  motion : { event : true, fields : { alarm_motion  : 'status' } },
+  energy : { fields : { measure_power : 'power' } },
+  room   : { fields : { measure_temperature : 'temp', measure_humidity : 'humidity', measure_co2 : 'ppm' } },
+};
+
+const now = () => Math.floor(Date.now() / 1000);
+
+// Determines the history type of a device (the first type of which the device
+// has one of the capabilities), or `null` if there's nothing to record.
+const getHistoryType = device => {
+  const capabilities = device.capabilities || [];
+  return Object.keys(HISTORY_TYPES).find(type => Object.keys(HISTORY_TYPES[type].fields).some(cap => capabilities.includes(cap))) ?? null;
+};
+
+// Fixed-size buffer in which new items overwrite the oldest ones. Items are
+// numbered from 1 onwards, and keep their number while they are available.
+class RingBuffer {
+  #size;
+  #items;
+  #count;
+  #used;
+
+  constructor(size, { items = [], count = items.length } = {}) {
+    // restore the most recent items (the size may have changed since)
+    const restore = items.slice(-size);
+    this.#size  = size;
+    this.#items = new Array(size);
+    this.#count = count - restore.length;
+    this.#used  = 0;
+    restore.forEach(item => this.push(item));
+  }
+
+  get size() {
+    return this.#size;
+  }
+
+  // total number of items ever added
+  get count() {
+    return this.#count;
+  }
+
+  // number of items that are still available
+  get used() {
+    return this.#used;
+  }
+
+  // number of the oldest available item
+  get first() {
+    return this.#count - this.#used + 1;
+  }
+
+  push(item) {
+    this.#items[this.#count % this.#size] = item;
+    this.#count++;
+    this.#used = Math.min(this.#used + 1, this.#size);
+  }
+
+  get(number) {
+    if (number < this.first || number > this.#count) return undefined;
+    return this.#items[(number - 1) % this.#size];
+  }
+
+  toArray() {
+    const items = [];
+    for (let number = this.first; number <= this.#count; number++) {
+      items.push(this.get(number));
+    }
+    return items;
+  }
+
+  toJSON() {
+    return { count : this.#count, items : this.toArray() };
+  }
+}
+
+class DeviceHistory {
+  #id;
+  #type;
+  #fields;
+  #entries;
+  #values;
+  #counters;
+  #initialTime;
+  #dirty = false;
+
+  constructor(id, type, { size = HISTORY_SIZE, entries, values = {}, counters = {}, initialTime = null } = {}) {
+    this.#id       = id;
+    this.#type     = type;
+    this.#fields   = HISTORY_TYPES[type].fields;
+    this.#entries  = new RingBuffer(size, entries);
+    this.#values   = values;
+    this.#counters = { timesOpened : 0, lastActivation : 0, ...counters };
+    this.#initialTime = initialTime;
+  }
+
+  get id() {
+    return this.#id;
+  }
+
+  get type() {
+    return this.#type;
+  }
+
+  get entries() {
+    return this.#entries;
+  }
+
+  get counters() {
+    return this.#counters;
+  }
+
+  isEvent() {
+    return !! HISTORY_TYPES[this.#type].event;
+  }
+
+  isDirty() {
+    return this.#dirty;
+  }
+
+  // time at which the history started (the time of the reference entry)
+  getInitialTime() {
+    return this.#initialTime;
+  }
+
+  // values of the fields, in the order in which they are stored in entries
+  getValues() {
+    return [ ...new Set(Object.values(this.#fields)) ].map(field => this.#values[field] ?? 0);
+  }
+
+  // Uses the current capability values of a device as starting point.
+  seed(device) {
+    for (const [ capability, field ] of Object.entries(this.#fields)) {
+      const value = device.capabilitiesObj?.[capability]?.value;
+      if (value == null || this.#values[field] != null) continue;
+      if (this.isEvent()) {
+        this.record(capability, value);
+      } else {
+        this.#values[field] = value;
+      }
+    }
+  }
+
+  // Records a capability value, returns `true` if it changed the history.
+  record(capability, value, time = now()) {
+    const field = this.#fields[capability];
+    if (! field || value == null) return false;
+
+    if (! this.isEvent()) {
+      this.#values[field] = value;
+      return false;
+    }
+
+    const status = value ? 1 : 0;
+    if (status === this.#values[field]) return false;
+    this.#values[field] = status;
+    if (status) {
+      if (this.#type === 'door') {
+        this.#counters.timesOpened++;
+      }
+      this.#counters.lastActivation = time - (this.getInitialTime() ?? time);
+    }
+    this.add([ time, status ]);
+    return true;
+  }
+
+  // Records the current values of a sampled type.
+  sample(time = now()) {
+    if (this.isEvent() || ! Object.keys(this.#values).length) return false;
+    this.add([ time, ...this.getValues() ]);
+    return true;
+  }
+
+  add(entry) {
+    if (this.#initialTime == null) {
+      this.#initialTime = entry[0];
+      this.#entries.push([ entry[0] ]);
+    }
+    this.#entries.push(entry);
+    this.#dirty = true;
+  }
+
+  markSaved() {
+    this.#dirty = false;
+  }
+
+  toJSON() {
+    return { type : this.#type, initialTime : this.#initialTime, entries : this.#entries, values : this.#values, counters : this.#counters };
+  }
+}
+
+class HistoryStore {
+  #directory;
+  #size;
+  #logger;
+  #histories = new Map();
+  #timer     = null;
+
+  constructor(directory, { size = HISTORY_SIZE, logger = console.log } = {}) {
+    this.#directory = directory;
+    this.#size      = size;
+    this.#logger    = logger;
+    fs.mkdirSync(directory, { recursive : true });
+  }
+
+  getPath(id) {
+    return pathJoin(this.#directory, `${ id }.json`);
+  }
+
+  // Returns the history of a device (loading it from disk if it was recorded
+  // before), or `null` if the device doesn't have anything worth recording.
+  get(device) {
+    const type = getHistoryType(device);
+    if (! type) return null;
+
+    const existing = this.#histories.get(device.id);
+    if (existing?.type === type) return existing;
+
+    let data = {};
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.getPath(device.id), 'utf8'));
+      // start over if the type of the device has changed
+      if (stored.type === type) data = stored;
+    } catch(e) {
+      if (e.code !== 'ENOENT') {
+        this.#logger(`[history] unable to load history for ${ device.id } - ${ e.message }`);
+      }
+    }
+    const history = new DeviceHistory(device.id, type, { ...data, size : this.#size });
+    history.seed(device);
+    this.#histories.set(device.id, history);
+    return history;
+  }
+
+  save(history) {
+    if (! history.isDirty()) return;
+    try {
+      // write to a temporary file first, so a crash can't leave a partial file
+      const path = this.getPath(history.id);
+      fs.writeFileSync(`${ path }.tmp`, JSON.stringify(history));
+      fs.renameSync(`${ path }.tmp`, path);
+      history.markSaved();
+    } catch(e) {
+      this.#logger(`[history] unable to save history for ${ history.id } - ${ e.message }`);
+    }
+  }
+
+  saveAll() {
+    this.#histories.forEach(history => this.save(history));
+  }
+
+  delete(id) {
+    this.#histories.delete(id);
+    fs.rmSync(this.getPath(id), { force : true });
+  }
+
+  // records the values of sampled types, and saves changed histories
+  tick() {
+    for (const history of this.#histories.values()) {
+      history.sample();
+      this.save(history);
+    }
+  }
+
+  start(interval = SAMPLE_INTERVAL) {
+    this.stop();
+    this.#timer = setInterval(() => this.tick(), interval);
+  }
+
+  stop() {
+    clearInterval(this.#timer);
+    this.#timer = null;
+  }
+
+  // forgets all histories (without saving them), so they don't get written
+  // back after their files have been removed
+  clear() {
+    this.stop();
+    this.#histories.clear();
+  }
+}
+
+module.exports = { HistoryStore, DeviceHistory, RingBuffer, HISTORY_TYPES, getHistoryType };
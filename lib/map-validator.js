@@ -0,0 +1,152 @@
+const { Accessory, Service, Characteristic } = require('../modules/hap-nodejs');
+
+// Validates the structure of a map before it gets registered with the device
+// mapper, so mistakes show up when the app starts instead of as crashes when a
+// device is being accessorized. Returns a list of `{ path, message }` errors,
+// which is empty if the map is valid.
+
+const isString     = value => typeof value === 'string' && value.length > 0;
+const isFunction   = value => typeof value === 'function';
+const isObject     = value => !! value && typeof value === 'object' && ! Array.isArray(value);
+const isSubclassOf = (value, klass) => isFunction(value) && value.prototype instanceof klass;
+const CATEGORIES   = Object.values(Accessory.Categories);
+
+function validateAccessors(value, path, errors, { required = false } = {}) {
+  // accessors can be a function or a list of functions (the second one being
+  // the fallback for devices that don't have the capability)
+  if (value === undefined) {
+    if (required) errors.push({ path, message : 'missing' });
+    return;
+  }
+  const accessors = [ value ].flat();
+  if (! accessors.length || ! accessors.every(accessor => accessor === undefined || isFunction(accessor)) || ! accessors.some(isFunction)) {
+    errors.push({ path, message : 'should be a function or a list of functions' });
+  }
+}
+
+function validateCharacteristicMap(characteristicMap, path, errors) {
+  if (! isObject(characteristicMap)) {
+    errors.push({ path, message : 'should be an object' });
+    return;
+  }
+
+  const characteristics = [ characteristicMap.characteristics ].flat();
+  if (! characteristics.length || ! characteristics.every(klass => isSubclassOf(klass, Characteristic))) {
+    errors.push({ path : `${ path }.characteristics`, message : 'should be a Characteristic class or a list of Characteristic classes' });
+  }
+
+  validateAccessors(characteristicMap.get, `${ path }.get`, errors, { required : true });
+  validateAccessors(characteristicMap.set, `${ path }.set`, errors);
+
+  const { props } = characteristicMap;
+  if (props !== undefined && typeof props !== 'boolean' && ! isFunction(props)) {
+    errors.push({ path : `${ path }.props`, message : 'should be a boolean or a function' });
+  }
+
+  const { debounce } = characteristicMap;
+  if (debounce !== undefined && ! (typeof debounce === 'number' && Number.isFinite(debounce) && debounce >= 0)) {
+    errors.push({ path : `${ path }.debounce`, message : 'should be a non-negative number' });
+  }
+}
+
+function validateConfirm(confirm, path, errors) {
+  if (! isObject(confirm)) {
+    errors.push({ path, message : 'should be an object' });
+    return;
+  }
+  const characteristics = [ confirm.characteristics ].flat();
+  if (! characteristics.length || ! characteristics.every(klass => isSubclassOf(klass, Characteristic))) {
+    errors.push({ path : `${ path }.characteristics`, message : 'should be a Characteristic class or a list of Characteristic classes' });
+  }
+  const { timeout } = confirm;
+  if (timeout !== undefined && ! isFunction(timeout) && ! (typeof timeout === 'number' && Number.isFinite(timeout) && timeout > 0)) {
+    errors.push({ path : `${ path }.timeout`, message : 'should be a positive number or a function' });
+  }
+  for (const handler of [ 'onTimeout', 'onConfirm' ]) {
+    if (confirm[handler] !== undefined && ! isFunction(confirm[handler])) {
+      errors.push({ path : `${ path }.${ handler }`, message : 'should be a function' });
+    }
+  }
+}
+
+function validateCapabilities(capabilities, path, errors, { required = false } = {}) {
+  if (capabilities === undefined && ! required) return;
+  if (! isObject(capabilities)) {
+    errors.push({ path, message : 'should be an object' });
+    return;
+  }
+  if (required && ! Object.keys(capabilities).length) {
+    errors.push({ path, message : 'should contain at least one capability' });
+  }
+  for (const [ capability, characteristicMaps ] of Object.entries(capabilities)) {
+    const list = [ characteristicMaps ].flat();
+    if (! list.length) {
+      errors.push({ path : `${ path }.${ capability }`, message : 'should contain at least one characteristic map' });
+    }
+    list.forEach((characteristicMap, idx) => {
+      validateCharacteristicMap(characteristicMap, `${ path }.${ capability }${ Array.isArray(characteristicMaps) ? `[${ idx }]` : '' }`, errors);
+    });
+  }
+}
+
+module.exports.validateMap = function validateMap(map) {
+  const errors = [];
+
+  if (! isObject(map)) {
+    return [ { path : '', message : 'map should be an object' } ];
+  }
+
+  if (! isString(map.name)) {
+    errors.push({ path : 'name', message : 'should be a non-empty string' });
+  }
+
+  const classes = [ map.class ].flat();
+  if (! classes.length || ! classes.every(isString)) {
+    errors.push({ path : 'class', message : 'should be a device class or a list of device classes' });
+  }
+
+  if (! isSubclassOf(map.service, Service)) {
+    errors.push({ path : 'service', message : 'should be a Service class' });
+  }
+
+  if (map.category !== undefined && ! CATEGORIES.includes(map.category)) {
+    errors.push({ path : 'category', message : 'should be an accessory category' });
+  }
+
+  if (map.link !== undefined) {
+    const link = [ map.link ].flat();
+    if (! link.length || ! link.every(klass => isSubclassOf(klass, Service))) {
+      errors.push({ path : 'link', message : 'should be a Service class or a list of Service classes' });
+    }
+  }
+
+  if (map.subtype !== undefined && ! isString(map.subtype)) {
+    errors.push({ path : 'subtype', message : 'should be a non-empty string' });
+  }
+
+  for (const flag of [ 'group', 'standalone', 'calibrate' ]) {
+    if (map[flag] !== undefined && typeof map[flag] !== 'boolean') {
+      errors.push({ path : flag, message : 'should be a boolean' });
+    }
+  }
+
+  for (const handler of [ 'match', 'onService', 'onUpdate' ]) {
+    if (map[handler] !== undefined && ! isFunction(map[handler])) {
+      errors.push({ path : handler, message : 'should be a function' });
+    }
+  }
+
+  if (map.confirm !== undefined) {
+    validateConfirm(map.confirm, 'confirm', errors);
+  }
+
+  validateCapabilities(map.required, 'required', errors, { required : true });
+  validateCapabilities(map.optional, 'optional', errors);
+  validateCapabilities(map.triggers, 'triggers', errors);
+
+  if (map.forbidden !== undefined && ! (Array.isArray(map.forbidden) && map.forbidden.every(isString))) {
+    errors.push({ path : 'forbidden', message : 'should be a list of capabilities' });
+  }
+
+  return errors;
+};
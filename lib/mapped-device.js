@@ -1,5 +1,37 @@
-const { Accessory, Service, Characteristic, AccessoryEventTypes, uuid } = require('../modules/hap-nodejs');
+const { Accessory, Service, Characteristic, AccessoryEventTypes, HapStatusError, HAPStatus, Formats, uuid } = require('../modules/hap-nodejs');
 const debounce = require('debounce');
+const { createTransform } = require('./value-transforms');
+const { EveHistory }      = require('./eve-history');
+
+// default time to wait for a device to confirm a new state (see `confirm`)
+const CONFIRM_TIMEOUT = 30000;
+
+// characteristic formats that only hold integers
+const INTEGER_FORMATS = [ Formats.INT, Formats.UINT8, Formats.UINT16, Formats.UINT32, Formats.UINT64 ];
+
+// HTTP status that the Homey API uses for requests that timed out
+const STATUS_TIMEOUT = 408;
+
+// Debounces an async function: all calls made within `wait` milliseconds of
+// each other wait for the one call that is made with the last arguments, and
+// resolve (or reject) with its result.
+function debounceAsync(fn, wait) {
+  let timer   = null;
+  let waiting = [];
+  return (...args) => new Promise((resolve, reject) => {
+    clearTimeout(timer);
+    waiting.push({ resolve, reject });
+    timer = setTimeout(() => {
+      const callers = waiting;
+      timer   = null;
+      waiting = [];
+      fn(...args).then(
+        result => callers.forEach(({ resolve }) => resolve(result)),
+        error  => callers.forEach(({ reject }) => reject(error)),
+      );
+    }, wait);
+  });
+}
 
 module.exports.MappedDevice = class MappedDevice {
   #mapper;
@@ -9,8 +41,18 @@ module.exports.MappedDevice = class MappedDevice {
   #category;
   #logger;
   #maps      = [];
+  #ranking   = [];
   #accessory = null;
   #listeners = [];
+  #observers = [];
+  // bound characteristics, with a function that restores their value from the device
+  #bound     = new Map();
+  #faulted   = new Set();
+  #pending   = new Map();
+  #timedOut  = new Map();
+  #history   = null;
+  #available = true;
+  #unavailableMessage = null;
 
   constructor(mapper, device, map, logger = console.log) {
     this.#mapper       = mapper;
@@ -20,6 +62,8 @@ module.exports.MappedDevice = class MappedDevice {
     this.#device.name  = this.#device.name || `${ this.#mapper.Utils.upperFirst(device.class) } Device`;
     this.#logger       = logger;
     this.#category     = map.category ?? Accessory.Categories.OTHER;
+    this.#available    = device.available !== false;
+    this.#unavailableMessage = device.unavailableMessage ?? null;
     this.#maps.push(map);
   }
 
@@ -35,8 +79,213 @@ module.exports.MappedDevice = class MappedDevice {
     return this.#class;
   }
 
+  getCategory() {
+    return this.#category;
+  }
+
+  isAvailable() {
+    return this.#available;
+  }
+
+  // Tracks the availability of the Homey device. While a device is
+  // unavailable, HomeKit reads and writes fail (which shows the accessory as
+  // "No Response") and services that support it report a fault.
+  setAvailable(available, message = null) {
+    available = available !== false;
+    if (available === this.#available) return;
+    this.#available          = available;
+    this.#unavailableMessage = available ? null : message;
+    this.log(available ? 'device is available again' : `device is unavailable (${ message || 'no reason given' })`);
+    this.updateStatusFault();
+  }
+
+  // Reports a fault while the device is unavailable. Once it's available
+  // again, only the faults reported here are cleared (other faults, like
+  // those set by maps, stay), and characteristics that are mapped to a
+  // capability are restored from the device.
+  updateStatusFault() {
+    if (! this.#accessory) return;
+    const { GENERAL_FAULT, NO_FAULT } = Characteristic.StatusFault;
+    if (this.#available) {
+      for (const characteristic of this.#faulted) {
+        if (this.#bound.has(characteristic)) {
+          this.#bound.get(characteristic)();
+        } else {
+          characteristic.updateValue(NO_FAULT);
+        }
+      }
+      this.#faulted.clear();
+      return;
+    }
+    for (const service of this.#accessory.services) {
+      const supported = [ ...service.characteristics, ...service.optionalCharacteristics ].some(c => c.UUID === Characteristic.StatusFault.UUID);
+      if (! supported) continue;
+      const characteristic = service.getCharacteristic(Characteristic.StatusFault);
+      if (characteristic.value === GENERAL_FAULT) continue;
+      characteristic.updateValue(GENERAL_FAULT);
+      this.#faulted.add(characteristic);
+    }
+  }
+
+  assertAvailable() {
+    if (! this.#available) {
+      throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
+    }
+  }
+
+  getRanking() {
+    return this.#ranking;
+  }
+
+  setRanking(ranking) {
+    this.#ranking = ranking;
+  }
+
   cleanup() {
     this.#listeners.forEach(listener => listener.destroy());
+    this.#observers.forEach(([ characteristic, observer ]) => characteristic.removeListener('change', observer));
+    this.#listeners = [];
+    this.#observers = [];
+    this.#pending.forEach(({ timer }) => clearTimeout(timer));
+    this.#pending.clear();
+    this.#timedOut.clear();
+  }
+
+  // Determines if a map should wait for the device to confirm state changes
+  // before reporting them to HomeKit. Maps opt in by declaring `confirm`:
+  //
+  //   confirm : {
+  //     characteristics : [ ... ],  // characteristics that only follow confirmed state
+  //     timeout         : 30000,    // optional, in milliseconds (or a function
+  //                                 // that returns it for a device)
+  //     onTimeout       : ({ service, device, capability }) => { ... },
+  //     onConfirm       : ({ service, device, capability }) => { ... }, // optional
+  //   }
+  //
+  // Confirmed mode is off unless the user turns it on for a device
+  // (`confirmed : true`, in the device options), since not every driver
+  // reports state changes reliably. The timeout can be changed as well
+  // (`confirmTimeout`, in seconds), unless the map determines it for the
+  // device itself.
+  getConfirmation(map) {
+    if (! map.confirm) return null;
+    const { confirmed, confirmTimeout } = this.#mapper.getDeviceOptions(this.#device.id);
+    if (confirmed !== true) return null;
+    return {
+      ...map.confirm,
+      characteristics : [ map.confirm.characteristics ].flat(),
+      timeout         : typeof map.confirm.timeout === 'function' ? map.confirm.timeout(this.#device) : confirmTimeout ? confirmTimeout * 1000 : map.confirm.timeout ?? CONFIRM_TIMEOUT,
+    };
+  }
+
+  isConfirmable() {
+    return this.#maps.some(map => !! map.confirm);
+  }
+
+  // Maps can estimate the state of devices that don't report it, based on
+  // a travel time that the user calibrates (`travelTime`, in seconds, in the
+  // device options).
+  isCalibratable() {
+    return this.#maps.some(map => map.calibrate === true);
+  }
+
+  // Maps can allow devices to be published as standalone accessories
+  // (instead of through the bridge), which HomeKit requires for some types.
+  canBeStandalone() {
+    return this.#maps.some(map => map.standalone === true);
+  }
+
+  // Waits for the device to confirm that a capability was set to a value.
+  // Returns `false` if there's nothing to confirm: Homey doesn't send updates
+  // for values that don't change.
+  awaitConfirmation(capability, value, confirmation, context) {
+    clearTimeout(this.#pending.get(capability)?.timer);
+    this.#pending.delete(capability);
+    if (value === this.#device.capabilitiesObj?.[capability]?.value) {
+      // the device already is where it failed to go to before
+      if (this.#timedOut.get(context.service) === capability) {
+        this.#timedOut.delete(context.service);
+      }
+      return false;
+    }
+    const timer = setTimeout(() => {
+      this.#pending.delete(capability);
+      this.log(`device didn't confirm capability '${ capability }' within ${ confirmation.timeout }ms`);
+      if (confirmation.onTimeout) {
+        // the service keeps reporting what `onTimeout` sets (like a fault)
+        // until the device reports a new state
+        this.#timedOut.set(context.service, capability);
+        confirmation.onTimeout(context);
+      }
+    }, confirmation.timeout);
+    this.#pending.set(capability, { value, timer });
+    return true;
+  }
+
+  // Called for capability updates, returns `true` if the update confirms a
+  // pending state change.
+  confirm(capability, value, confirmation, context) {
+    const pending = this.#pending.get(capability);
+    if (! pending || pending.value !== value) return false;
+    clearTimeout(pending.timer);
+    this.#pending.delete(capability);
+    confirmation.onConfirm?.(context);
+    return true;
+  }
+
+  isPending(capability) {
+    return this.#pending.has(capability);
+  }
+
+  isTimedOut(service) {
+    return this.#timedOut.has(service);
+  }
+
+  // Updates the device (after its capabilities or class have changed) using a
+  // new set of maps. If the device was already accessorized, the existing
+  // accessory is updated in place: services and characteristics that are no
+  // longer mapped are removed, new ones are added, and existing ones are
+  // kept. This means that the accessory (UUID) stays the same, so HomeKit
+  // doesn't lose its room assignment, scenes and automations.
+  update(device, maps) {
+    this.cleanup();
+    this.#device       = device;
+    this.#class        = device.class;
+    this.#capabilities = [...device.capabilities];
+    this.#device.name  = this.#device.name || `${ this.#mapper.Utils.upperFirst(device.class) } Device`;
+    this.#category     = Accessory.Categories.OTHER;
+    this.#maps         = [];
+    maps.forEach(map => this.addMap(map));
+    this.setAvailable(device.available, device.unavailableMessage);
+
+    const accessory = this.#accessory;
+    if (! accessory) return;
+
+    // rebuild services, reusing the existing ones where possible
+    const previouslyBound = this.#bound;
+    this.#bound = new Map();
+    const services = this.buildServices(accessory);
+
+    // remove services that are no longer mapped
+    for (const service of [ ...accessory.services ]) {
+      if (service.UUID === Service.AccessoryInformation.UUID || services.has(service)) continue;
+      this.log(`- removing service ${ service.constructor.name } (${ service.subtype })`);
+      accessory.removeService(service);
+    }
+
+    // remove optional characteristics that are no longer mapped
+    for (const characteristic of previouslyBound.keys()) {
+      if (this.#bound.has(characteristic)) continue;
+      for (const service of services) {
+        if (! service.characteristics.includes(characteristic)) continue;
+        if (! service.optionalCharacteristics.some(c => c.UUID === characteristic.UUID)) continue;
+        this.log(`- removing characteristic ${ characteristic.constructor.name } from ${ service.constructor.name } (${ service.subtype })`);
+        service.removeCharacteristic(characteristic);
+      }
+    }
+
+    // reflect the current availability of the device
+    this.updateStatusFault();
   }
 
   addMap(map) {
@@ -86,39 +335,86 @@ module.exports.MappedDevice = class MappedDevice {
     }, {})
   }
 
-  flattenGroups(groups) {
+  flattenGroups(groups, map) {
     // sort group names on length, sortest first
     const groupNames = Object.keys(groups).sort((a, b) => a.length - b.length);
 
-    // process each group and leave only the capabilities that don't already belong in a 'shorter' group
+    // process each group and leave only the capabilities that don't already
+    // belong in a 'shorter' group (unless the map binds the sub-capability
+    // explicitly, like `target_temperature.low`)
     return groupNames.reduce((acc, group) => {
-      acc.groups[group] = groups[group].filter(cap => ! (cap in acc.seen)).map(cap => {
+      acc.groups[group] = groups[group].filter(cap => {
+        if (group && this.getCharacteristicMaps(map, `${ cap }.${ group }`).exact) return true;
+        if (cap in acc.seen) return false;
         acc.seen[cap] = true;
-        return cap;
+        return true;
       });
       return acc;
     }, { groups : {}, seen : {} }).groups;
   }
 
-  accessorize() {
-    const [ cachedAccessory, device ] = [ this.#accessory, this.#device ];
+  // Returns the characteristic maps for a capability. Maps can bind
+  // sub-capabilities (`target_temperature.low`) explicitly, otherwise the
+  // capability is looked up without its suffix.
+  getCharacteristicMaps(map, capability) {
+    for (const [ name, exact ] of [ [ capability, true ], [ this.#mapper.Utils.normalizeCapability(capability), false ] ]) {
+      if (exact && ! capability.includes('.')) continue;
+      for (const type of [ 'required', 'optional', 'triggers' ]) {
+        if (map[type]?.[name]) {
+          return { characteristicMaps : map[type][name], isTrigger : type === 'triggers', exact };
+        }
+      }
+    }
+    return { characteristicMaps : null, isTrigger : false, exact : false };
+  }
 
+  accessorize() {
     // shortcut
-    if (cachedAccessory) return cachedAccessory;
+    if (this.#accessory) return this.#accessory;
 
     // start creating HomeKit accessory
     const accessory = this.#accessory = this.createAccessory();
 
+    // create all services
+    this.buildServices(accessory);
+
+    // reflect the current availability of the device
+    this.updateStatusFault();
+
+    return accessory;
+  }
+
+  // Creates (or reuses, if they already exist) the services and
+  // characteristics for all maps, and returns the set of services.
+  buildServices(accessory) {
+    const device   = this.#device;
+    const services = new Set();
+    const linking  = [];
+
     // group capabilities based on their suffix (so `onoff.1` and `dim.1` are
     // assumed to belong together)
     let groups = this.groupCapabilities();
 
+    // allows maps to add services of their own (like the input sources of a
+    // TV) from `onService`
+    const addService = (klass, name, subtype) => {
+      const service = accessory.getServiceById(klass, subtype) || accessory.addService(klass, name, subtype);
+      services.add(service);
+      return service;
+    };
+
     // for each map, and each group, create a service
     for (const map of this.#maps) {
       this.log(`map '${ map.name }':`);
-      for (const [ group, capabilities ] of Object.entries(map.group ? groups : this.flattenGroups(groups))) {
+      for (const [ group, capabilities ] of Object.entries(map.group ? groups : this.flattenGroups(groups, map))) {
         let service;
 
+        // grouped maps can leave out groups through their `match` predicate
+        if (map.group === true && typeof map.match === 'function' && ! map.match(device, group)) {
+          this.log(2, `- skipping group '${ group || 'DEFAULT' }'`);
+          continue;
+        }
+
         this.log(2, `- group '${ group || 'DEFAULT' }' [${ capabilities }]`);
 
         // for each (supported) capability, create characteristics
@@ -126,28 +422,43 @@ module.exports.MappedDevice = class MappedDevice {
           // full name of capability
           const capability = `${ prefix }${ group ? '.' + group : '' }`;
 
-          // get characteristic maps for this capability
-          const characteristicMaps = map.required?.[prefix] || map.optional?.[prefix] || map.triggers?.[prefix];
+          // get characteristic maps for this capability (we have to deal with
+          // triggers differently below)
+          const { characteristicMaps, isTrigger } = this.getCharacteristicMaps(map, capability);
           if (! characteristicMaps) {
             // unable to map this particular capability
             continue;
           }
 
-          // we have to deal with triggers differently below
-          const isTrigger = !!map.triggers?.[prefix];
+          // user-defined value transforms for this capability
+          const transform = createTransform(this.#mapper.getDeviceOptions(device.id).transforms?.[capability], device.capabilitiesObj?.[capability]);
+          const toHomeKit = transform?.toHomeKit ?? (value => value);
+          const toHomey   = transform?.toHomey   ?? (value => value);
 
           // if we can at least map one capability to a characteristic, create
           // the actual service (if it doesn't already exist)
           if (! service) {
-            service = accessory.getService(map.service);
-            if (! service || map.group === true) {
-              this.log(4, `- new service ${ map.service.name }`);
-              service = accessory.addService(map.service, device.name, group || 'default');
-            } else {
+            // non-grouped maps share a service of the same type
+            service = map.group === true ? null : [ ...services ].find(service => service.UUID === map.service.UUID);
+            if (service) {
               this.log(4, `- existing service ${ map.service.name }`);
+            } else {
+              // service may still exist from a previous build (see `update()`)
+              const subtype = map.subtype ?? (group || 'default');
+              service = accessory.getServiceById(map.service, subtype);
+              if (service) {
+                this.log(4, `- reusing service ${ map.service.name }`);
+              } else {
+                this.log(4, `- new service ${ map.service.name }`);
+                service = accessory.addService(map.service, device.name, subtype);
+              }
+            }
+            services.add(service);
+            if (map.link) {
+              linking.push([ map, service ]);
             }
             if (typeof map.onService === 'function') {
-              map.onService(service, { device });
+              map.onService(service, { device, group, addService });
             }
           }
 
@@ -155,6 +466,12 @@ module.exports.MappedDevice = class MappedDevice {
             const debounceTimeout   = characteristicMap.debounce || 0;
             const debounceImmediate = characteristicMap.debounce ? false : true;
 
+            // in confirmed mode, the state characteristics only follow the
+            // device (and not what was set from HomeKit)
+            const confirmation = this.getConfirmation(map);
+            const isConfirmed  = !! confirmation && [ characteristicMap.characteristics ].flat().some(klass => confirmation.characteristics.includes(klass));
+            const isStateOnly  = characteristic => isConfirmed && confirmation.characteristics.includes(characteristic.constructor);
+
             // determine getters/setters:
             // - first generate an array of getters/setters
             // - check if the device has this capability:
@@ -171,36 +488,76 @@ module.exports.MappedDevice = class MappedDevice {
             // next step: create each characteristic (there can be multiple) with
             // all the relevant event handlers
             const characteristics = [ characteristicMap.characteristics ].flat().map(klass => {
+              // maps may bind characteristics that the service doesn't define
+              // (like the fault status of vacuum cleaners, which are exposed
+              // as fans), which are added to the service as optional ones
+              if (! [ ...service.characteristics, ...service.optionalCharacteristics ].some(c => c.UUID === klass.UUID)) {
+                service.addOptionalCharacteristic(klass);
+              }
               const characteristic = service.getCharacteristic(klass);
+              this.#bound.set(characteristic, () => this.rollback(characteristic, getter, toHomeKit, { device, service, capability }));
               this.log(6, `- [${ capability }] ${ isTrigger ? 'triggers' : '→' } [${ klass.name }] (debounce ${ debounceTimeout }ms)`);
 
               // if map has an onUpdate handler, watch for changes
               if (map.onUpdate) {
-                characteristic.on('change', async ({ oldValue, newValue }) => {
+                const observer = async ({ oldValue, newValue }) => {
                   //this.log(`onUpdate — capability=${ capability } characteristic=${ characteristic.constructor.name } old=${ oldValue } new=${ newValue }`);
                   map.onUpdate({ characteristic : characteristic.constructor.name, oldValue, newValue, service, device, capability });
-                });
+                };
+                characteristic.on('change', observer);
+                this.#observers.push([ characteristic, observer ]);
               }
 
               // we don't register get/set handlers on the characteristic for trigger capabilities
               if (! isTrigger) {
                 if (getter) {
                   characteristic.onGet(async () => {
+                    this.assertAvailable();
+                    // keep reporting the requested value until the device confirms
+                    // it, and the fault until the device reports a new state
+                    if ((this.isPending(capability) && ! isStateOnly(characteristic)) || this.isTimedOut(service)) {
+                      return characteristic.value;
+                    }
                     const rawValue = device.capabilitiesObj?.[capability]?.value;
-                    if (rawValue === undefined) throw Error(`missing capability value for '${ capability }'`); // can happen if device is (temporarily) unavailable
-                    return characteristic.validateUserInput( await getter(rawValue, { device, service, characteristic : characteristic.constructor.name }) );
+                    if (rawValue === undefined) {
+                      // can happen if device is (temporarily) unavailable
+                      this.log(`missing capability value for '${ capability }'`);
+                      throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
+                    }
+                    return characteristic.validateUserInput( await getter(toHomeKit(rawValue), { device, service, capability, characteristic : characteristic.constructor.name }) );
                   });
                 }
                 if (setter) {
-                  characteristic.onSet(debounce(async rawValue => {
-                    const value = await setter(rawValue, { device, service, characteristic : characteristic.constructor.name });
-                    await this.#device.setCapabilityValue(capability, value).catch(() => {});
-                    // update internal device state
-                    this.updateCapability(capability, value);
-                  }, debounceTimeout, debounceImmediate));
+                  const setValue = async rawValue => {
+                    let value;
+                    try {
+                      value = toHomey(await setter(rawValue, { device, service, capability, characteristic : characteristic.constructor.name }));
+                      await this.#device.setCapabilityValue(capability, value);
+                    } catch(e) {
+                      this.log(`failed to set capability '${ capability }' (characteristic ${ characteristic.constructor.name }) to`, value, `- ${ e.message }`);
+                      await this.rollback(characteristic, getter, toHomeKit, { device, service, capability });
+                      throw new HapStatusError(this.getFailureStatus(e));
+                    }
+                    // internal device state gets updated once the device confirms
+                    if (! isConfirmed || ! this.awaitConfirmation(capability, value, confirmation, { device, service, capability })) {
+                      // update internal device state
+                      this.updateCapability(capability, value);
+                    }
+                  };
+
+                  // set requests for debounced setters wait for the debounced
+                  // call, so failures are still reported back to HomeKit
+                  const debouncedSetter = debounceTimeout ? debounceAsync(setValue, debounceTimeout) : setValue;
+                  characteristic.onSet(async rawValue => {
+                    this.assertAvailable();
+                    await debouncedSetter(rawValue);
+                  });
                 }
               }
 
+              // derive props (ranges, step size) from the capability options
+              this.applyProps(characteristic, characteristicMap.props, getter, toHomeKit, { device, service, capability });
+
               return characteristic;
             });
 
@@ -210,11 +567,22 @@ module.exports.MappedDevice = class MappedDevice {
               device.makeCapabilityInstance(capability, debounce(async rawValue => {
                 this.log(`capability update - capability=${ capability } raw=${ rawValue }`);
 
+                if (isConfirmed && this.confirm(capability, rawValue, confirmation, { device, service, capability })) {
+                  this.log(`- confirmed by device`);
+                }
+                if (this.#timedOut.get(service) === capability) {
+                  this.#timedOut.delete(service);
+                }
+
                 // update each characteristic separately (getter may return
                 // a specific value for a specific characteristic)
                 for (const characteristic of characteristics) {
+                  // while waiting for confirmation, only the state follows the device
+                  if (this.isPending(capability) && ! isStateOnly(characteristic)) continue;
+                  // faults are only cleared by the capability that timed out
+                  if (this.isTimedOut(service) && isStateOnly(characteristic)) continue;
                   const name  = characteristic.constructor.name;
-                  const value = await getter(rawValue, { device, service, capability, characteristic : name });
+                  const value = await getter(toHomeKit(rawValue), { device, service, capability, characteristic : name });
                   if (value === this.#mapper.Constants.NO_VALUE) continue;
                   this.log(`- update characteristic - name = ${ name } value =`, value);
                   characteristic.updateValue(characteristic.validateUserInput(value));
@@ -222,14 +590,120 @@ module.exports.MappedDevice = class MappedDevice {
 
                 // update internal device state
                 this.updateCapability(capability, rawValue);
+
+                // record the new value
+                this.#history?.record(capability, rawValue);
               }, debounceTimeout, debounceImmediate))
             );
           }
         }
       }
     }
+
+    // link related services (like a filter to an air purifier) to the
+    // services of maps that ask for it
+    for (const [ map, service ] of linking) {
+      for (const klass of [ map.link ].flat()) {
+        for (const other of services) {
+          if (other === service || other.UUID !== klass.UUID || service.linkedServices.includes(other)) continue;
+          this.log(`- linking service ${ other.constructor.name } to ${ service.constructor.name }`);
+          service.addLinkedService(other);
+        }
+      }
+    }
+
+    // serve the recorded history of the device (if there is one)
+    const history = this.#mapper.getHistory()?.get(device);
+    this.#history = history ? new EveHistory(history) : null;
+    if (this.#history) {
+      services.add(this.#history.attach(accessory, services));
+    }
+
     //console.log( accessory.services.map(s => ({ name: s.constructor.name, char: s.characteristics.map(c => c.constructor.name) })) );
-    return accessory;
+    return services;
+  }
+
+  // Restores a characteristic to the last value that was confirmed by the
+  // device, after setting a new value failed.
+  async rollback(characteristic, getter, toHomeKit, { device, service, capability }) {
+    const rawValue = device.capabilitiesObj?.[capability]?.value;
+    if (! getter || rawValue === undefined) return;
+    try {
+      const value = await getter(toHomeKit(rawValue), { device, service, capability, characteristic : characteristic.constructor.name });
+      if (value === this.#mapper.Constants.NO_VALUE) return;
+      characteristic.updateValue(characteristic.validateUserInput(value));
+    } catch(e) {
+      this.log(`failed to roll back characteristic ${ characteristic.constructor.name } - ${ e.message }`);
+    }
+  }
+
+  // Determines the HAP status to report for a failed capability update.
+  getFailureStatus(error) {
+    if (! this.#available) {
+      return HAPStatus.SERVICE_COMMUNICATION_FAILURE;
+    }
+    if (error?.statusCode === STATUS_TIMEOUT) {
+      return HAPStatus.OPERATION_TIMED_OUT;
+    }
+    return HAPStatus.SERVICE_COMMUNICATION_FAILURE;
+  }
+
+  // Sets the props of a characteristic based on the options of the capability
+  // it's mapped to. A characteristic map can declare `props` as either:
+  // - `true`: the Homey `min`/`max`/`step` (or `decimals`) are passed through
+  //   the getter, which only makes sense for linear accessors;
+  // - a function `(options, { device, capability, characteristic }) => props`
+  //   that returns the props to set.
+  applyProps(characteristic, spec, getter, toHomeKit, { device, service, capability }) {
+    const options = device.capabilitiesObj?.[capability];
+    if (! spec || ! options || ! device.capabilities.includes(capability)) return;
+
+    const name  = characteristic.constructor.name;
+    let   props = {};
+    if (typeof spec === 'function') {
+      props = spec(options, { device, capability, characteristic : name }) || {};
+    } else if (getter) {
+      const convert = value => {
+        const converted = getter(toHomeKit(value), { device, service, capability, characteristic : name });
+        return typeof converted === 'number' && Number.isFinite(converted) ? converted : null;
+      };
+      const round = value => Math.round(value * 1e6) / 1e6;
+      const step  = typeof options.step === 'number' ? options.step : typeof options.decimals === 'number' ? 10 ** -options.decimals : null;
+      const min   = typeof options.min  === 'number' ? convert(options.min) : null;
+      const max   = typeof options.max  === 'number' ? convert(options.max) : null;
+
+      // the accessor (or a transform) may invert the range
+      if (min !== null && max !== null) {
+        props.minValue = round(Math.min(min, max));
+        props.maxValue = round(Math.max(min, max));
+      } else if (min !== null) {
+        props.minValue = round(min);
+      } else if (max !== null) {
+        props.maxValue = round(max);
+      }
+      if (step > 0) {
+        const base    = options.min ?? 0;
+        const [ from, to ] = [ convert(base), convert(base + step) ];
+        if (from !== null && to !== null && Math.abs(to - from) > 0) {
+          props.minStep = round(Math.abs(to - from));
+        }
+      }
+    }
+
+    // integer characteristics need integer props (non-linear accessors, like
+    // color temperature, can produce fractional ones)
+    if (INTEGER_FORMATS.includes(characteristic.props.format)) {
+      if (props.minValue !== undefined) props.minValue = Math.ceil(props.minValue);
+      if (props.maxValue !== undefined) props.maxValue = Math.floor(props.maxValue);
+      if (props.minStep  !== undefined) props.minStep  = Math.max(1, Math.round(props.minStep));
+    }
+
+    if (! Object.keys(props).length) return;
+    this.log(8, `- props [${ name }]`, props);
+
+    // HAP validates the current value against the new props (and moves it
+    // into the new range if necessary)
+    characteristic.setProps(props);
   }
 
   log(...messages) {
@@ -1,5 +1,51 @@
 const { Accessory, Service, Characteristic, AccessoryEventTypes, uuid } = require('../modules/hap-nodejs');
 
+// Homey thermostat modes are device-specific (besides the standard `off`,
+// `heat`, `cool` and `auto`), so they're classified by name, and modes that
+// HomeKit doesn't know about are treated as AUTO.
+const classifyMode = mode => {
+  const id = String(mode).toLowerCase();
+  if (id === 'off')        return 'OFF';
+  if (id.includes('heat')) return 'HEAT';
+  if (id.includes('cool')) return 'COOL';
+  return 'AUTO';
+};
+
+// Creates an accessor that maps Homey modes onto the states of a "target
+// state" characteristic. `modes` lists the standard Homey mode for each state,
+// modes are classified using `classify`, and modes for states that the
+// characteristic doesn't have are mapped to the `fallback` state.
+const createModeAccessor = (characteristic, {
+  classify = classifyMode,
+  modes    = { OFF : 'off', HEAT : 'heat', COOL : 'cool', AUTO : 'auto' },
+  fallback = 'AUTO',
+} = {}) => {
+  const getModes  = options => options?.values?.map(({ id }) => id) ?? Object.values(modes);
+  const toHomeKit = mode => characteristic[ classify(mode) ] ?? characteristic[fallback];
+  const supported = mode => classify(mode) in characteristic;
+
+  return {
+    get : value => toHomeKit(value),
+    set : (value, { device, capability }) => {
+      // don't rewrite the current mode if HomeKit considers it the same
+      // (for instance, a device-specific `eco` mode that shows as AUTO)
+      const current = device.capabilitiesObj?.[capability]?.value;
+      if (current != null && toHomeKit(current) === value) return current;
+
+      // otherwise prefer the standard modes
+      const available = getModes(device.capabilitiesObj?.[capability]);
+      const preferred = Object.entries(modes).find(([ state ]) => characteristic[state] === value)?.[1];
+      return available.includes(preferred) ? preferred : available.find(mode => supported(mode) && toHomeKit(mode) === value) ?? preferred;
+    },
+    // only offer the modes that the device supports
+    props : options => {
+      const validValues = [ ...new Set(getModes(options).filter(supported).map(toHomeKit)) ].sort();
+      if (! validValues.length) return {};
+      return { validValues, minValue : validValues[0], maxValue : validValues[validValues.length - 1] };
+    },
+  };
+};
+
 module.exports = Mapper => {
   Mapper.Accessors = {
     Identity : {
@@ -14,17 +60,36 @@ module.exports = Mapper => {
       get : value => !!value,
       set : value => !!value,
     },
+    // read-only sensor readings
+    Measurement : {
+      get : value => value ?? 0,
+    },
+    // outlets are in use when they draw more power than the threshold
+    OutletInUse : {
+      get : value => value > Mapper.getThresholds().inUse.measure_power,
+    },
     Active : {
       get : value => Characteristic.Active[ value ? 'ACTIVE' : 'INACTIVE' ],
       set : value => value === Characteristic.Active.ACTIVE
     },
     Temperature : {
-      get : value => value,
-      set : value => value,
+      // HomeKit expects temperatures in Celsius
+      get : (value, { device, capability }) => {
+        return Mapper.Utils.isFahrenheit(device, capability) ? Mapper.Utils.toCelsius(value) : value;
+      },
+      set : (value, { device, capability }) => {
+        if (! Mapper.Utils.isFahrenheit(device, capability)) return value;
+        return Mapper.Utils.roundToStep(Mapper.Utils.toFahrenheit(value), device.capabilitiesObj?.[capability]?.step || 0.1);
+      },
+      props : true,
+    },
+    TemperatureDisplayUnits : {
+      get : (value, { device }) => Characteristic.TemperatureDisplayUnits[ Mapper.Utils.temperatureDisplayUnits(device) ],
     },
     RelativeHumidity : {
       get : value => value,
       set : value => value,
+      props : true,
     },
     Mute : {
       get : value => !!value,
@@ -33,10 +98,12 @@ module.exports = Mapper => {
     Volume : {
       get : value => value * 100,
       set : value => value / 100,
+      props : true,
     },
     RotationSpeed : {
       get : value => value * 100,
       set : value => value / 100,
+      props : true,
     },
     DoorState : {
       get : value => Characteristic.CurrentDoorState[ value ? 'CLOSED' : 'OPEN'],
@@ -65,14 +132,17 @@ module.exports = Mapper => {
     Brightness : {
       get : value => value * 100,
       set : value => value / 100,
+      props : true,
     },
     Hue : {
       get : value => value * 360,
       set : value => value / 360,
+      props : true,
     },
     Saturation : {
       get : value => value * 100,
       set : value => value / 100,
+      props : true,
     },
     ColorTemperature : {
       get : value => Mapper.Utils.mapValue(value, 0, 1, 140, 500),
@@ -83,11 +153,13 @@ module.exports = Mapper => {
           await device.setCapabilityValue('light_mode', 'temperature').catch(() => {});
         }
         return Mapper.Utils.mapValue(value, 140, 500, 0, 1);
-      }
+      },
+      props : true,
     },
     Position : {
       get : value => value * 100,
       set : value => value / 100,
+      props : true,
     },
     PositionState : {
       get : value => Characteristic.PositionState[ value === 'up' ? 'INCREASING' : value === 'down' ? 'DECREASING' : 'STOPPED' ],
@@ -113,18 +185,56 @@ module.exports = Mapper => {
       },
     },
     HeatingCoolingState : {
+      // maps a heating/cooling status (like `heating`, `cooling` or `idle`)
       Current : {
-        // Not quite the correct mapping: Homey supports `auto` mode, HomeKit doesn't. We'll default to `HEAT` when `auto` is set.
-        get : value => Characteristic.CurrentHeatingCoolingState[ value === 'off' ? 'OFF' : value === 'cool' ? 'COOL' : 'HEAT' ]
+        get : value => {
+          const id = String(value).toLowerCase();
+          return Characteristic.CurrentHeatingCoolingState[ id.includes('heat') ? 'HEAT' : id.includes('cool') ? 'COOL' : 'OFF' ];
+        }
+      },
+      Target : createModeAccessor(Characteristic.TargetHeatingCoolingState),
+    },
+    HeaterCoolerState : {
+      // maps a heating/cooling status (like `heating`, `cooling`, `idle` or `off`)
+      Current : {
+        get : value => {
+          const id = String(value).toLowerCase();
+          return Characteristic.CurrentHeaterCoolerState[ id.includes('heat') ? 'HEATING' : id.includes('cool') ? 'COOLING' : id === 'off' ? 'INACTIVE' : 'IDLE' ];
+        }
+      },
+      Target : createModeAccessor(Characteristic.TargetHeaterCoolerState),
+    },
+    HumidifierDehumidifierState : {
+      Target : createModeAccessor(Characteristic.TargetHumidifierDehumidifierState, {
+        classify : mode => {
+          const id = String(mode).toLowerCase();
+          if (id.includes('dehumid') || id === 'dry') return 'DEHUMIDIFIER';
+          if (id.includes('humid'))   return 'HUMIDIFIER';
+          return 'HUMIDIFIER_OR_DEHUMIDIFIER';
+        },
+        modes    : { HUMIDIFIER : 'humidify', DEHUMIDIFIER : 'dehumidify', HUMIDIFIER_OR_DEHUMIDIFIER : 'auto' },
+        fallback : 'HUMIDIFIER_OR_DEHUMIDIFIER',
+      }),
+    },
+    // percentages that can be reported as a fraction (0-1) by the device
+    Percentage : {
+      get : (value, { device, capability }) => device.capabilitiesObj?.[capability]?.max <= 1 ? value * 100 : value,
+      set : (value, { device, capability }) => device.capabilitiesObj?.[capability]?.max <= 1 ? value / 100 : value,
+      props : true,
+    },
+    // booleans, or enums with an `off` value
+    Toggle : {
+      get : value => !! value && value !== 'off',
+      set : (value, { device, capability }) => {
+        const options = device.capabilitiesObj?.[capability];
+        if (! options?.values) return !! value;
+        return value ? (options.values.find(({ id }) => id !== 'off')?.id ?? 'on') : 'off';
       },
-      Target : {
-        get : value => Characteristic.TargetHeatingCoolingState[ value.toUpperCase() ],
-        set : value => [ 'off', 'heat', 'cool', 'auto' ][value],
-      }
     },
     TiltAngle: {
       get : value => value * 180 - 90,
       set : value => (value + 90) / 180,
+      props : true,
     }
   };
 };
@@ -1,4 +1,5 @@
 const { Accessory, Service, Characteristic, AccessoryEventTypes, uuid } = require('../modules/hap-nodejs');
+const Eve = require('./eve-characteristics');
 
 module.exports = Mapper => {
   Mapper.Characteristics = {
@@ -15,11 +16,9 @@ module.exports = Mapper => {
     Temperature:   {
       Current:      { characteristics : Characteristic.CurrentTemperature, ...Mapper.Accessors.Temperature },
       Target:       { characteristics : Characteristic.TargetTemperature,  ...Mapper.Accessors.Temperature },
-      DisplayUnits: {
-        characteristics : Characteristic.TemperatureDisplayUnits,
-        // yay metric!
-        get : () => Characteristic.TemperatureDisplayUnits.CELSIUS
-      }
+      DisplayUnits: { characteristics : Characteristic.TemperatureDisplayUnits, ...Mapper.Accessors.TemperatureDisplayUnits },
+      HeatingThreshold: { characteristics : Characteristic.HeatingThresholdTemperature, ...Mapper.Accessors.Temperature },
+      CoolingThreshold: { characteristics : Characteristic.CoolingThresholdTemperature, ...Mapper.Accessors.Temperature },
     },
     RelativeHumidity:   {
       Current: { characteristics : Characteristic.CurrentRelativeHumidity, ...Mapper.Accessors.RelativeHumidity },
@@ -29,6 +28,26 @@ module.exports = Mapper => {
       Current: { characteristics : Characteristic.CurrentHeatingCoolingState, ...Mapper.Accessors.HeatingCoolingState.Current },
       Target:  { characteristics : Characteristic.TargetHeatingCoolingState,  ...Mapper.Accessors.HeatingCoolingState.Target },
     },
+    HeaterCoolerState : {
+      Current: { characteristics : Characteristic.CurrentHeaterCoolerState, ...Mapper.Accessors.HeaterCoolerState.Current },
+      Target:  { characteristics : Characteristic.TargetHeaterCoolerState,  ...Mapper.Accessors.HeaterCoolerState.Target },
+    },
+    HumidifierDehumidifierState : {
+      Target:  { characteristics : Characteristic.TargetHumidifierDehumidifierState, ...Mapper.Accessors.HumidifierDehumidifierState.Target },
+    },
+    Energy : {
+      Power:            { characteristics : Eve.EvePower,            ...Mapper.Accessors.Measurement },
+      TotalConsumption: { characteristics : Eve.EveTotalConsumption, ...Mapper.Accessors.Measurement },
+      Voltage:          { characteristics : Eve.EveVoltage,          ...Mapper.Accessors.Measurement },
+      Current:          { characteristics : Eve.EveElectricCurrent,  ...Mapper.Accessors.Measurement },
+      // outlets also derive whether they are in use from the power consumption
+      OutletPower : {
+        characteristics : [ Eve.EvePower, Characteristic.OutletInUse ],
+        get             : (value, { characteristic }) => {
+          return characteristic === 'OutletInUse' ? Mapper.Accessors.OutletInUse.get(value) : Mapper.Accessors.Measurement.get(value);
+        },
+      },
+    },
     Light:         {
       Dim:         { characteristics: Characteristic.Brightness,       ...Mapper.Accessors.Brightness, debounce: 500 },
       Hue:         { characteristics: Characteristic.Hue,              ...Mapper.Accessors.Hue },
@@ -0,0 +1,45 @@
+module.exports = (Mapper, Service, Characteristic) => {
+  const { INACTIVE, PURIFYING_AIR } = Characteristic.CurrentAirPurifierState;
+  const { MANUAL, AUTO }            = Characteristic.TargetAirPurifierState;
+
+  return {
+    class:    'airpurifier',
+    service:  Service.AirPurifier,
+    // show air quality and filter status as part of the purifier
+    link:     [ Service.AirQualitySensor, Service.FilterMaintenance ],
+    onService: (service, { device }) => {
+      // don't need to fake the target state if the device has a real mode
+      if (Mapper.Utils.hasCapability(device, 'fan_mode')) return;
+      Mapper.Utils.setSingleMode(service, Characteristic.TargetAirPurifierState, MANUAL);
+    },
+    required: {
+      onoff : {
+        characteristics: [ Characteristic.Active, Characteristic.CurrentAirPurifierState ],
+        get:             (value, { characteristic }) => {
+          switch (characteristic) {
+            case 'CurrentAirPurifierState':
+              return value ? PURIFYING_AIR : INACTIVE;
+            default:
+              return Mapper.Accessors.Active.get(value);
+          }
+        },
+        set:             Mapper.Accessors.Active.set,
+      }
+    },
+    optional : {
+      // a mode called `auto` maps to AUTO, every other mode to MANUAL
+      fan_mode : {
+        characteristics: Characteristic.TargetAirPurifierState,
+        get:             value => value === 'auto' ? AUTO : MANUAL,
+        set:             (value, { device, capability }) => {
+          if (value === AUTO) return 'auto';
+          const current = device.capabilitiesObj?.[capability]?.value;
+          if (current && current !== 'auto') return current;
+          return device.capabilitiesObj?.[capability]?.values?.find(({ id }) => id !== 'auto')?.id ?? 'manual';
+        },
+      },
+      fan_speed: Mapper.Characteristics.RotationSpeed,
+      dim:       Mapper.Characteristics.RotationSpeed,
+    }
+  };
+};
@@ -1,40 +1,60 @@
 module.exports = (Mapper, Service, Characteristic) => {
   const { UNKNOWN, EXCELLENT, GOOD, FAIR, INFERIOR, POOR } = Characteristic.AirQuality;
+  const LEVELS = [ EXCELLENT, GOOD, FAIR, INFERIOR, POOR ];
 
-  return {
-    class : 'sensor',
-    service: Service.AirQualitySensor,
-    required: {
-      measure_co2 : {
-        characteristics: Characteristic.AirQuality,
-        get:             value => {
-          // use OSHA guidelines to determine air quality based on CO2 levels:
-          // https://ohsonline.com/Articles/2016/04/01/Carbon-Dioxide-Detection-and-Indoor-Air-Quality-Control.aspx?Page=2
-          if (value == null) {
-            return UNKNOWN;
-          } else if (value < 350) {
-            return EXCELLENT;
-          } else if (value < 1000) {
-            return GOOD;
-          } else if (value < 2000) {
-            return FAIR;
-          } else if (value < 5000) {
-            return INFERIOR;
-          } else {
-            return POOR;
+  // pollutants that determine the air quality, and the characteristic that
+  // holds their density (if HomeKit has one)
+  const POLLUTANTS = {
+    measure_co2  : null,
+    measure_pm25 : Characteristic.PM2_5Density,
+    measure_pm10 : Characteristic.PM10Density,
+    measure_voc  : Characteristic.VOCDensity,
+    measure_no2  : Characteristic.NitrogenDioxideDensity,
+    measure_o3   : Characteristic.OzoneDensity,
+  };
+
+  const getLevel = (pollutant, value) => {
+    const bounds = Mapper.getThresholds().airQuality[pollutant];
+    if (value == null || ! bounds) return UNKNOWN;
+    const idx = bounds.findIndex(bound => value < bound);
+    return LEVELS[idx === -1 ? LEVELS.length - 1 : idx];
+  };
+
+  // the air quality is determined by the worst pollutant that the device
+  // reports
+  const getAirQuality = (value, { device, capability }) => {
+    const suffix = capability.slice(Mapper.Utils.normalizeCapability(capability).length);
+    return Object.keys(POLLUTANTS).reduce((worst, pollutant) => {
+      const cap = pollutant + suffix;
+      if (cap !== capability && ! device.capabilities.includes(cap)) return worst;
+      return Math.max(worst, getLevel(pollutant, Mapper.Utils.getCapabilityValue(device, cap, { capability, value })));
+    }, UNKNOWN);
+  };
+
+  // one map per pollutant, so any device reporting at least one of them
+  // gets an air quality sensor
+  return Object.entries(POLLUTANTS).map(([ pollutant, density ]) => ({
+    name     : pollutant === 'measure_co2' ? null : pollutant.replace(/^measure_/, ''),
+    class    : [ 'sensor', 'airpurifier' ],
+    service  : Service.AirQualitySensor,
+    required : {
+      [ pollutant ] : {
+        characteristics : [ Characteristic.AirQuality, density ].filter(Boolean),
+        get             : (value, { device, capability, characteristic }) => {
+          switch (characteristic) {
+            case 'AirQuality':
+              return getAirQuality(value, { device, capability });
+            default:
+              return value ?? 0;
           }
         }
-      }
+      },
     },
     optional : {
-      measure_pm25 : {
-        characteristics: Characteristic.PM2_5Density,
-        get:             value => value ?? 0,
-      },
       alarm_tamper : {
         characteristics : Characteristic.StatusTampered,
         ...Mapper.Accessors.Boolean
       },
     }
-  }
+  }));
 };
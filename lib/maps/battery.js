@@ -1,5 +1,5 @@
 module.exports = (Mapper, Service, Characteristic) => ({
-  class : [ 'sensor', 'other' ],
+  class : [ 'sensor', 'other', 'vacuumcleaner', 'lock' ],
   service: Service.Battery,
   required: {
     measure_battery : {
@@ -26,6 +26,11 @@ module.exports = (Mapper, Service, Characteristic) => ({
     alarm_battery : {
       characteristics: Characteristic.StatusLowBattery,
       get:             value => value ? 1 : 0
+    },
+    // vacuum cleaners report charging as part of their cleaning state
+    vacuumcleaner_state : {
+      characteristics: Characteristic.ChargingState,
+      get:             value => Characteristic.ChargingState[ value === 'charging' ? 'CHARGING' : 'NOT_CHARGING' ]
     }
   }
 });
@@ -8,10 +8,8 @@ module.exports = (Mapper, Service, Characteristic) => ({
         switch (characteristic) {
           case 'CarbonMonoxideDetected':
             const { CO_LEVELS_NORMAL, CO_LEVELS_ABNORMAL } = Characteristic.CarbonMonoxideDetected;
-            // XXX: HK is unclear about what's normal and what's abnormal
-            let mappedValue = Mapper.Utils.mapValue(value, 0, 100, CO_LEVELS_NORMAL, CO_LEVELS_ABNORMAL);
-            if (mappedValue > 1) mappedValue = 1;
-            return mappedValue;
+            // levels are abnormal from a (configurable) threshold
+            return value >= Mapper.getThresholds().detected.measure_co ? CO_LEVELS_ABNORMAL : CO_LEVELS_NORMAL;
           case 'CarbonMonoxideLevel':
             return value;
           default:
@@ -8,10 +8,8 @@ module.exports = (Mapper, Service, Characteristic) => ({
         switch (characteristic) {
           case 'CarbonDioxideDetected':
             const { CO2_LEVELS_NORMAL, CO2_LEVELS_ABNORMAL } = Characteristic.CarbonDioxideDetected;
-            // XXX: HK is unclear about what's normal and what's abnormal
-            let mappedValue = Mapper.Utils.mapValue(value, 0, 5000, CO2_LEVELS_NORMAL, CO2_LEVELS_ABNORMAL);
-            if (mappedValue > 1) mappedValue = 1;
-            return mappedValue;
+            // levels are abnormal from a (configurable) threshold
+            return value >= Mapper.getThresholds().detected.measure_co2 ? CO2_LEVELS_ABNORMAL : CO2_LEVELS_NORMAL;
           case 'CarbonDioxideLevel':
             return value;
           default:
@@ -1,5 +1,5 @@
 module.exports = (Mapper, Service, Characteristic) => ({
-  class : ['sensor', 'other'],
+  class : ['sensor', 'other', 'lock'],
   service: Service.ContactSensor,
   required: {
     alarm_contact : {
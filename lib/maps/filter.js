@@ -0,0 +1,50 @@
+module.exports = (Mapper, Service, Characteristic) => {
+  const { FILTER_OK, CHANGE_FILTER } = Characteristic.FilterChangeIndication;
+
+  // filter life is reported as a percentage, or as a fraction
+  const getLifeLevel = Mapper.Accessors.Percentage.get;
+
+  // percentage of filter life left at which the filter should be changed
+  const CHANGE_FILTER_LEVEL = 10;
+
+  return [
+    // devices that report a filter alarm
+    {
+      class:    'airpurifier',
+      service:  Service.FilterMaintenance,
+      required: {
+        alarm_filter : {
+          characteristics: Characteristic.FilterChangeIndication,
+          get:             value => value ? CHANGE_FILTER : FILTER_OK,
+        }
+      },
+      optional : {
+        measure_filter_life : {
+          characteristics: Characteristic.FilterLifeLevel,
+          get:             getLifeLevel,
+        }
+      }
+    },
+    // devices that only report filter life
+    {
+      name:     'life',
+      class:    'airpurifier',
+      service:  Service.FilterMaintenance,
+      required: {
+        measure_filter_life : {
+          characteristics: [ Characteristic.FilterLifeLevel, Characteristic.FilterChangeIndication ],
+          get:             (value, { device, capability, characteristic }) => {
+            const level = getLifeLevel(value, { device, capability });
+            switch (characteristic) {
+              case 'FilterChangeIndication':
+                return level <= CHANGE_FILTER_LEVEL ? CHANGE_FILTER : FILTER_OK;
+              default:
+                return level;
+            }
+          }
+        }
+      },
+      forbidden: [ 'alarm_filter' ],
+    },
+  ];
+};
@@ -1,18 +1,90 @@
-module.exports = (Mapper, Service, Characteristic) => ({
-  class: 'garagedoor',
-  service : Service.GarageDoorOpener,
-  required: {
-    garagedoor_closed : {
-      characteristics : [ Characteristic.TargetDoorState, Characteristic.CurrentDoorState ],
-      ...Mapper.Accessors.DoorState
+module.exports = (Mapper, Service, Characteristic) => {
+  const { OPENING, CLOSING, STOPPED } = Characteristic.CurrentDoorState;
+  const { DoorState }                 = Mapper.Accessors;
+
+  // time (in seconds) a door takes to open or close, unless the user has
+  // calibrated it (`travelTime`)
+  const TRAVEL_TIME = 60;
+
+  // capabilities through which doors report an obstruction
+  const OBSTRUCTIONS = [ 'alarm_generic', 'alarm_obstruction', 'alarm_problem' ];
+
+  // doors that are moving, or that stopped before reaching their target, per
+  // door service
+  const moves = new WeakMap();
+
+  const getTravelTime = device => Mapper.getDeviceOptions(device.id).travelTime ?? TRAVEL_TIME;
+  const isConfirmed   = device => Mapper.getDeviceOptions(device.id).confirmed === true;
+  const isObstructed  = (device, update) => OBSTRUCTIONS.some(capability => Mapper.Utils.hasCapabilityWithValue(device, capability, true, update));
+
+  // stops tracking the door, which is no longer obstructed unless the device
+  // says so
+  const settle = (service, device, update) => {
+    clearTimeout(moves.get(service)?.timer);
+    moves.delete(service);
+    service.getCharacteristic(Characteristic.ObstructionDetected).updateValue(isObstructed(device, update));
+  };
+
+  // reports the door as opening or closing until it reaches its target
+  const startMove = (service, device, capability, target) => {
+    settle(service, device);
+    const state = target === Characteristic.TargetDoorState.CLOSED ? CLOSING : OPENING;
+    const timer = setTimeout(() => endMove(service, device, capability, target), getTravelTime(device) * 1000);
+    moves.set(service, { state, timer });
+    service.getCharacteristic(Characteristic.CurrentDoorState).updateValue(state);
+  };
+
+  // Called once the travel time has passed. Devices that confirm their state
+  // should have reached their target by then (otherwise the door is reported
+  // as stopped and obstructed), for other devices we assume they have.
+  const endMove = (service, device, capability, target) => {
+    const value = device.capabilitiesObj?.[capability]?.value;
+    if (isConfirmed(device) && DoorState.get(value) !== target) {
+      moves.set(service, { state : STOPPED, value });
+      service.getCharacteristic(Characteristic.CurrentDoorState).updateValue(STOPPED);
+      service.getCharacteristic(Characteristic.ObstructionDetected).updateValue(true);
+    } else {
+      settle(service, device);
+      service.getCharacteristic(Characteristic.CurrentDoorState).updateValue(DoorState.get(value));
+    }
+  };
+
+  return {
+    class: 'garagedoor',
+    service : Service.GarageDoorOpener,
+    calibrate: true,
+    // only report the door as opened/closed once the device confirms it (see
+    // `endMove` for what happens if it doesn't), which it should do within
+    // the travel time
+    confirm: {
+      characteristics: Characteristic.CurrentDoorState,
+      timeout:         device => getTravelTime(device) * 1000,
+      onConfirm:       ({ service, device }) => settle(service, device),
+    },
+    required: {
+      garagedoor_closed : {
+        characteristics : [ Characteristic.TargetDoorState, Characteristic.CurrentDoorState ],
+        get : (value, { service, device, capability, characteristic }) => {
+          const move = moves.get(service);
+          if (characteristic === 'CurrentDoorState' && move) {
+            // stopped doors stay stopped until the device reports a new state
+            if (move.state !== STOPPED || move.value === value) return move.state;
+            settle(service, device, { capability, value });
+          }
+          return DoorState.get(value);
+        },
+        set : (value, { service, device, capability }) => {
+          // doors that are already where they should be don't move
+          if (moves.has(service) || DoorState.get(device.capabilitiesObj?.[capability]?.value) !== value) {
+            startMove(service, device, capability, value);
+          }
+          return DoorState.set(value);
+        },
+      },
     },
-  },
-  optional: {
-    alarm_generic : {
+    optional: Object.fromEntries(OBSTRUCTIONS.map(alarm => [ alarm, {
       characteristics : Characteristic.ObstructionDetected,
-      // if device has `alarm_generic`, use Identity.Get,
-      // otherwise default to Fixed.False
-      get : [ Mapper.Accessors.Identity.get, Mapper.Fixed.False ],
-    }
-  }
-});
+      get             : (value, { device, capability }) => isObstructed(device, { capability, value }),
+    } ])),
+  };
+};
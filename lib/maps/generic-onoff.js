@@ -1,5 +1,5 @@
 module.exports = (Mapper, Service, Characteristic) => ({
-  class:    [ 'coffeemachine', 'kettle', 'amplifier', 'other', 'remote', 'sensor', 'vacuumcleaner' ],
+  class:    [ 'coffeemachine', 'kettle', 'amplifier', 'other', 'remote', 'sensor' ],
   service:  Service.Switch,
   required: {
     onoff : Mapper.Characteristics.OnOff,
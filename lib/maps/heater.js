@@ -1,31 +1,84 @@
-module.exports = (Mapper, Service, Characteristic) => ({
-  class:    'heater',
-  service:  Service.HeaterCooler,
-  onUpdate: ({ characteristic, oldValue, newValue, service, device, capability }) => {
-    // set to Celsius
-    service.getCharacteristic(Characteristic.TemperatureDisplayUnits).updateValue(Characteristic.TemperatureDisplayUnits.CELSIUS);
-  },
-  // TODO: use target_temperature to set HEATING/COOLING states, similar to thermostat
-  required: {
-    onoff: {
-      characteristics: Characteristic.Active,
-      get : (value, { service }) => {
-        // update current state
-        const characteristic = Characteristic.CurrentHeaterCoolerState;
-        service.getCharacteristic(characteristic).updateValue( characteristic[value ? 'HEATING' : 'INACTIVE' ] );
-        return Characteristic.Active[ value ? 'ACTIVE' : 'INACTIVE' ];
+module.exports = (Mapper, Service, Characteristic) => {
+  const { INACTIVE, IDLE, HEATING, COOLING } = Characteristic.CurrentHeaterCoolerState;
+  const { AUTO, HEAT, COOL }                 = Characteristic.TargetHeaterCoolerState;
+
+  // if the device doesn't report whether it's heating or cooling, estimate it
+  // from the mode and the current and target temperatures
+  const estimateCurrentState = service => Mapper.Utils.estimateCurrentState(service, {
+    mode:     Characteristic.TargetHeaterCoolerState,
+    current:  Characteristic.CurrentTemperature,
+    raise:    { mode : HEAT, threshold : Characteristic.HeatingThresholdTemperature, state : HEATING },
+    lower:    { mode : COOL, threshold : Characteristic.CoolingThresholdTemperature, state : COOLING },
+    idle:     IDLE,
+    inactive: INACTIVE,
+  });
+
+  // HomeKit uses the heating threshold in HEAT mode, the cooling threshold in
+  // COOL mode, and both in AUTO mode. Devices with split setpoints
+  // (`target_temperature.low` and `.high`) get both thresholds, devices with
+  // a single setpoint only the one that matches what they do: heaters heat
+  // and air conditioners cool.
+  const hasSplitSetpoints = device => [ 'target_temperature.low', 'target_temperature.high' ].some(cap => device.capabilities.includes(cap));
+
+  const heaterCooler = (classes, mode, setpoints) => ({
+    class:    classes,
+    service:  Service.HeaterCooler,
+    onService: (service, { device }) => {
+      // set correct temperature display unit
+      Mapper.Utils.updateDisplayUnits(service, device);
+
+      // don't need to fake the mode if the device has the real thing
+      if (Mapper.Utils.hasCapability(device, 'thermostat_mode')) return;
+
+      // otherwise, the device only does what its setpoints are for
+      Mapper.Utils.setSingleMode(service, Characteristic.TargetHeaterCoolerState, mode);
+    },
+    onUpdate: ({ characteristic, oldValue, newValue, service, device, capability }) => {
+      // keep temperature display unit in step with the device
+      Mapper.Utils.updateDisplayUnits(service, device);
+
+      // don't need to estimate the current state if the device has the real thing
+      if (Mapper.Utils.hasCapability(device, 'thermostat_state')) return;
+      service.getCharacteristic(Characteristic.CurrentHeaterCoolerState).updateValue(estimateCurrentState(service));
+    },
+    required: {
+      onoff:               Mapper.Characteristics.Active,
+      measure_temperature: Mapper.Characteristics.Temperature.Current,
+    },
+    optional : {
+      ...setpoints,
+      thermostat_mode:  Mapper.Characteristics.HeaterCoolerState.Target,
+      thermostat_state: Mapper.Characteristics.HeaterCoolerState.Current,
+      dim:              Mapper.Characteristics.RotationSpeed,
+      swing_mode: {
+        characteristics: Characteristic.SwingMode,
+        get:             (value, ctx) => Characteristic.SwingMode[ Mapper.Accessors.Toggle.get(value) ? 'SWING_ENABLED' : 'SWING_DISABLED' ],
+        set:             (value, ctx) => Mapper.Accessors.Toggle.set(value === Characteristic.SwingMode.SWING_ENABLED, ctx),
       },
-      set : (value, { service }) => {
-        // update target state
-        const isActive       = value === Characteristic.Active.ACTIVE;
-        const characteristic = Characteristic.TargetHeaterCoolerState;
-        service.getCharacteristic(characteristic).updateValue( characteristic[isActive ? 'HEAT' : 'AUTO' ] );
-        return isActive;
-      }
+      child_lock: {
+        characteristics: Characteristic.LockPhysicalControls,
+        get:             (value, ctx) => Characteristic.LockPhysicalControls[ Mapper.Accessors.Toggle.get(value) ? 'CONTROL_LOCK_ENABLED' : 'CONTROL_LOCK_DISABLED' ],
+        set:             (value, ctx) => Mapper.Accessors.Toggle.set(value === Characteristic.LockPhysicalControls.CONTROL_LOCK_ENABLED, ctx),
+      },
+    }
+  });
+
+  const { HeatingThreshold, CoolingThreshold } = Mapper.Characteristics.Temperature;
+
+  return [
+    {
+      ...heaterCooler('heater', HEAT, { target_temperature : HeatingThreshold }),
+      match : device => ! hasSplitSetpoints(device),
+    },
+    {
+      ...heaterCooler('airconditioning', COOL, { target_temperature : CoolingThreshold }),
+      name  : 'airconditioning',
+      match : device => ! hasSplitSetpoints(device),
+    },
+    {
+      ...heaterCooler([ 'heater', 'airconditioning' ], AUTO, { 'target_temperature.low' : HeatingThreshold, 'target_temperature.high' : CoolingThreshold }),
+      name  : 'split',
+      match : hasSplitSetpoints,
     },
-    measure_temperature: Mapper.Characteristics.Temperature.Current,
-  },
-  optional : {
-    dim: Mapper.Characteristics.RotationSpeed,
-  }
-});
+  ];
+};
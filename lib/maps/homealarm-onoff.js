@@ -1,6 +1,12 @@
 module.exports = (Mapper, Service, Characteristic) => ({
   class:    'homealarm',
   service:  Service.SecuritySystem,
+  // only report the system as (dis)armed once the device confirms it
+  confirm: {
+    characteristics: Characteristic.SecuritySystemCurrentState,
+    onTimeout:       ({ service }) => service.getCharacteristic(Characteristic.StatusFault).updateValue(Characteristic.StatusFault.GENERAL_FAULT),
+    onConfirm:       ({ service }) => service.getCharacteristic(Characteristic.StatusFault).updateValue(Characteristic.StatusFault.NO_FAULT),
+  },
   required: {
     onoff : {
       characteristics: [ Characteristic.SecuritySystemCurrentState, Characteristic.SecuritySystemTargetState ],
@@ -69,6 +69,12 @@ module.exports = (Mapper, Service, Characteristic) => {
   return {
     class:    [ 'homealarm', 'sensor' ],
     service:  Service.SecuritySystem,
+    // only report the system as (dis)armed once the device confirms it
+    confirm: {
+      characteristics: Characteristic.SecuritySystemCurrentState,
+      onTimeout:       ({ service }) => service.getCharacteristic(Characteristic.StatusFault).updateValue(Characteristic.StatusFault.GENERAL_FAULT),
+      onConfirm:       ({ service }) => service.getCharacteristic(Characteristic.StatusFault).updateValue(Characteristic.StatusFault.NO_FAULT),
+    },
     onUpdate: ({ characteristic, newValue, service }) => {
       // if tamper alarm is triggered, and system is armed, trigger the home alarm
       if (characteristic !== 'StatusTampered' || newValue !== TAMPERED) return;
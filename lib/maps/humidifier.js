@@ -0,0 +1,73 @@
+module.exports = (Mapper, Service, Characteristic) => {
+  const { INACTIVE, IDLE, HUMIDIFYING, DEHUMIDIFYING } = Characteristic.CurrentHumidifierDehumidifierState;
+  const { HUMIDIFIER_OR_DEHUMIDIFIER, HUMIDIFIER, DEHUMIDIFIER } = Characteristic.TargetHumidifierDehumidifierState;
+
+  // estimate whether the device is humidifying or dehumidifying from the mode
+  // and the current and target humidity
+  const estimateCurrentState = service => Mapper.Utils.estimateCurrentState(service, {
+    mode:     Characteristic.TargetHumidifierDehumidifierState,
+    current:  Characteristic.CurrentRelativeHumidity,
+    raise:    { mode : HUMIDIFIER,   threshold : Characteristic.RelativeHumidityHumidifierThreshold,   state : HUMIDIFYING },
+    lower:    { mode : DEHUMIDIFIER, threshold : Characteristic.RelativeHumidityDehumidifierThreshold, state : DEHUMIDIFYING },
+    idle:     IDLE,
+    inactive: INACTIVE,
+  });
+
+  // HomeKit uses the humidifier threshold when humidifying, the dehumidifier
+  // threshold when dehumidifying, and both in auto mode. Devices with split
+  // targets (`target_humidity.low` and `.high`) get both thresholds, devices
+  // with a single target only the one that matches what they do.
+  const hasSplitTargets = device => [ 'target_humidity.low', 'target_humidity.high' ].some(cap => device.capabilities.includes(cap));
+
+  const threshold = characteristic => ({ characteristics : characteristic, ...Mapper.Accessors.Percentage });
+
+  const humidifierDehumidifier = (classes, mode, targets) => ({
+    class:    classes,
+    service:  Service.HumidifierDehumidifier,
+    onService: (service, { device }) => {
+      // don't need to fake the mode if the device has the real thing
+      if (Mapper.Utils.hasCapability(device, 'humidifier_mode')) return;
+
+      // otherwise, the device only does what its targets are for
+      Mapper.Utils.setSingleMode(service, Characteristic.TargetHumidifierDehumidifierState, mode);
+    },
+    onUpdate: ({ characteristic, oldValue, newValue, service, device, capability }) => {
+      service.getCharacteristic(Characteristic.CurrentHumidifierDehumidifierState).updateValue(estimateCurrentState(service));
+    },
+    required: {
+      onoff:            Mapper.Characteristics.Active,
+      measure_humidity: Mapper.Characteristics.RelativeHumidity.Current,
+    },
+    optional : {
+      ...targets,
+      humidifier_mode: Mapper.Characteristics.HumidifierDehumidifierState.Target,
+      measure_water_level: {
+        characteristics: Characteristic.WaterLevel,
+        ...Mapper.Accessors.Percentage,
+        set: undefined,
+      },
+      fan_speed: Mapper.Characteristics.RotationSpeed,
+      dim:       Mapper.Characteristics.RotationSpeed,
+    }
+  });
+
+  const humidify   = threshold(Characteristic.RelativeHumidityHumidifierThreshold);
+  const dehumidify = threshold(Characteristic.RelativeHumidityDehumidifierThreshold);
+
+  return [
+    {
+      ...humidifierDehumidifier('humidifier', HUMIDIFIER, { target_humidity : humidify }),
+      match : device => ! hasSplitTargets(device),
+    },
+    {
+      ...humidifierDehumidifier('dehumidifier', DEHUMIDIFIER, { target_humidity : dehumidify }),
+      name  : 'dehumidifier',
+      match : device => ! hasSplitTargets(device),
+    },
+    {
+      ...humidifierDehumidifier([ 'humidifier', 'dehumidifier' ], HUMIDIFIER_OR_DEHUMIDIFIER, { 'target_humidity.low' : humidify, 'target_humidity.high' : dehumidify }),
+      name  : 'split',
+      match : hasSplitTargets,
+    },
+  ];
+};
@@ -0,0 +1,40 @@
+module.exports = (Mapper, Service, Characteristic, Accessory) => {
+  const { IN_USE, NOT_IN_USE } = Characteristic.InUse;
+
+  // highest zone number that is bound explicitly
+  const MAX_ZONES = 32;
+
+  const getZones = device => Mapper.Utils.allCapabilitiesMatching(device, 'onoff');
+
+  // the system is in use if any of its zones is
+  const inUse = {
+    characteristics: Characteristic.InUse,
+    get: (value, { device, capability }) => {
+      const anyOn = getZones(device).some(zone => Mapper.Utils.getCapabilityValue(device, zone, { capability, value }));
+      return anyOn ? IN_USE : NOT_IN_USE;
+    },
+  };
+
+  // Multi-zone sprinkler controllers, of which each zone (`onoff.1`,
+  // `onoff.2`, ...) is exposed as a separate valve (see `valve.js`).
+  return {
+    class:    'sprinkler',
+    service:  Service.IrrigationSystem,
+    category: Accessory.Categories.SPRINKLER,
+    link:     Service.Valve,
+    // the zones would otherwise determine the subtype (`onoff.1` comes first)
+    subtype:  'default',
+    match:    device => getZones(device).length > 1,
+    onService: (service) => {
+      // the system itself is always enabled, and HomeKitty doesn't know
+      // about any watering schedules
+      service.getCharacteristic(Characteristic.Active).updateValue(Characteristic.Active.ACTIVE);
+      service.getCharacteristic(Characteristic.ProgramMode).updateValue(Characteristic.ProgramMode.NO_PROGRAM_SCHEDULED);
+    },
+    required: {
+      onoff: inUse,
+    },
+    // bind every zone, not just the first one
+    optional: Object.fromEntries(Array.from({ length: MAX_ZONES }, (_, idx) => [ `onoff.${ idx + 1 }`, inUse ])),
+  };
+};
@@ -1,13 +1,45 @@
-module.exports = (Mapper, Service, Characteristic) => ({
-  class:    'lock',
-  service:  Service.LockMechanism,
-  required: {
-    onoff : {
-      characteristics: [ Characteristic.LockCurrentState, Characteristic.LockTargetState ],
-      // Bold locks do things the wrong way around; since we don't know of any
-      // other locks that use `onoff`, we'll just use their method.
-      get : value => Characteristic.LockCurrentState[ value ? 'UNSECURED' : 'SECURED' ],
-      set : value => value === Characteristic.LockTargetState.UNSECURED,
-    }
-  }
-});
+module.exports = (Mapper, Service, Characteristic) => {
+  const { SECURED, UNSECURED, JAMMED } = Characteristic.LockCurrentState;
+
+  // capabilities through which locks report a problem, during which they are
+  // reported as jammed
+  const FAULTS = [ 'alarm_generic', 'alarm_problem' ];
+
+  const isJammed = (device, update) => FAULTS.some(fault => Mapper.Utils.hasCapabilityWithValue(device, fault, true, update));
+
+  // Bold locks do things the wrong way around; since we don't know of any
+  // other locks that use `onoff`, we'll just use their method.
+  const getState = value => value ? UNSECURED : SECURED;
+
+  return {
+    class:    'lock',
+    service:  Service.LockMechanism,
+    link:     [ Service.ContactSensor, Service.Battery ],
+    // only report the lock as (un)secured once the lock confirms it, and as
+    // jammed (until it reports its state again) if it doesn't
+    confirm: {
+      characteristics: Characteristic.LockCurrentState,
+      onTimeout:       ({ service }) => service.getCharacteristic(Characteristic.LockCurrentState).updateValue(JAMMED),
+    },
+    required: {
+      onoff : {
+        characteristics: [ Characteristic.LockCurrentState, Characteristic.LockTargetState ],
+        get : (value, { device, capability, characteristic }) => {
+          if (characteristic === 'LockCurrentState' && isJammed(device, { capability, value })) {
+            return JAMMED;
+          }
+          return getState(value);
+        },
+        set : value => value === Characteristic.LockTargetState.UNSECURED,
+      }
+    },
+    // faults only affect the current state
+    optional: Object.fromEntries(FAULTS.map(fault => [ fault, {
+      characteristics: Characteristic.LockCurrentState,
+      get:             (value, { device, capability }) => {
+        if (isJammed(device, { capability, value })) return JAMMED;
+        return getState(device.capabilitiesObj?.onoff?.value);
+      },
+    } ])),
+  };
+};
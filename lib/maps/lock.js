@@ -1,10 +1,65 @@
-module.exports = (Mapper, Service, Characteristic) => ({
-  class:    'lock',
-  service:  Service.LockMechanism,
-  required: {
-    locked : {
-      characteristics: [ Characteristic.LockCurrentState, Characteristic.LockTargetState ],
-      ...Mapper.Accessors.LockState,
-    }
-  }
-});
+module.exports = (Mapper, Service, Characteristic) => {
+  const { JAMMED } = Characteristic.LockCurrentState;
+
+  // capabilities through which locks report a problem, during which they are
+  // reported as jammed
+  const FAULTS = [ 'alarm_generic', 'alarm_problem' ];
+
+  const isJammed = (device, update) => FAULTS.some(fault => Mapper.Utils.hasCapabilityWithValue(device, fault, true, update));
+
+  return [
+    {
+      class:    'lock',
+      service:  Service.LockMechanism,
+      link:     [ Service.ContactSensor, Service.Battery ],
+      // only report the lock as (un)secured once the lock confirms it, and as
+      // jammed (until it reports its state again) if it doesn't
+      confirm: {
+        characteristics: Characteristic.LockCurrentState,
+        onTimeout:       ({ service }) => service.getCharacteristic(Characteristic.LockCurrentState).updateValue(JAMMED),
+      },
+      required: {
+        locked : {
+          characteristics: [ Characteristic.LockCurrentState, Characteristic.LockTargetState ],
+          get:             (value, { device, capability, characteristic }) => {
+            if (characteristic === 'LockCurrentState' && isJammed(device, { capability, value })) {
+              return JAMMED;
+            }
+            return Mapper.Accessors.LockState.get(value);
+          },
+          set:             Mapper.Accessors.LockState.set,
+        }
+      },
+      // faults only affect the current state
+      optional: Object.fromEntries(FAULTS.map(fault => [ fault, {
+        characteristics: Characteristic.LockCurrentState,
+        get:             (value, { device, capability }) => {
+          if (isJammed(device, { capability, value })) return JAMMED;
+          return Mapper.Accessors.LockState.get(device.capabilitiesObj?.locked?.value);
+        },
+      } ])),
+    },
+    // for locks that can secure themselves after a while
+    {
+      name:     'management',
+      class:    'lock',
+      service:  Service.LockManagement,
+      onService: service => {
+        service.getCharacteristic(Characteristic.Version).updateValue('1.0');
+        // HomeKit requires the control point, but none of its commands are
+        // supported
+        service.getCharacteristic(Characteristic.LockControlPoint).onSet(() => {
+          throw new Mapper.Errors.HapStatusError(Mapper.Errors.HAPStatus.INVALID_VALUE_IN_REQUEST);
+        });
+      },
+      required: {
+        // time (in seconds) after which the lock secures itself
+        autolock_timeout : {
+          characteristics: Characteristic.LockManagementAutoSecurityTimeout,
+          ...Mapper.Accessors.Identity,
+          props:           true,
+        },
+      },
+    },
+  ];
+};
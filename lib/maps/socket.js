@@ -3,5 +3,11 @@ module.exports = (Mapper, Service, Characteristic) => ({
   group:    true,
   service:  Service.Outlet,
   required: { onoff : Mapper.Characteristics.OnOff },
-  optional: { dim : Mapper.Characteristics.Light.Dim }
+  optional: {
+    dim :             Mapper.Characteristics.Light.Dim,
+    measure_power :   Mapper.Characteristics.Energy.OutletPower,
+    meter_power :     Mapper.Characteristics.Energy.TotalConsumption,
+    measure_voltage : Mapper.Characteristics.Energy.Voltage,
+    measure_current : Mapper.Characteristics.Energy.Current,
+  }
 });
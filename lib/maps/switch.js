@@ -3,5 +3,11 @@ module.exports = (Mapper, Service, Characteristic) => ({
   service : Service.Switch,
   required : {
     onoff : Mapper.Characteristics.OnOff
+  },
+  optional : {
+    measure_power :   Mapper.Characteristics.Energy.Power,
+    meter_power :     Mapper.Characteristics.Energy.TotalConsumption,
+    measure_voltage : Mapper.Characteristics.Energy.Voltage,
+    measure_current : Mapper.Characteristics.Energy.Current,
   }
 });
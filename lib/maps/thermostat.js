@@ -1,49 +1,65 @@
-module.exports = (Mapper, Service, Characteristic) => ({
-  class:    [ 'thermostat', 'heatpump' ],
-  service:  Service.Thermostat,
-  onService: (service, { device }) => {
-    // set target temperature props to match Homey's values
-    const opts  = device.capabilitiesObj?.target_temperature;
-    if (! opts) return;
-    const props = {};
-    if (opts.min) {
-      props.minValue = opts.min;
-    }
-    if (opts.max) {
-      props.maxValue = opts.max;
-    }
-    service.getCharacteristic(Characteristic.TargetTemperature).setProps(props);
-  },
-  onUpdate: ({ characteristic, oldValue, newValue, service, device, capability }) => {
-    const opts = device.capabilitiesObj?.[capability];
+module.exports = (Mapper, Service, Characteristic) => {
+  const { OFF, HEAT, COOL, AUTO } = Characteristic.TargetHeatingCoolingState;
+
+  // sub-capabilities that devices use for split setpoints
+  const HEATING_SETPOINTS = [ 'target_temperature.low', 'target_temperature.heating', 'target_temperature.heat' ];
+  const COOLING_SETPOINTS = [ 'target_temperature.high', 'target_temperature.cooling', 'target_temperature.cool' ];
+
+  const hasSplitSetpoints = device => [ ...HEATING_SETPOINTS, ...COOLING_SETPOINTS ].some(cap => device.capabilities.includes(cap));
 
-    // set correct temperature display unit
-    if (opts && 'units' in opts) {
-      const unit = opts.units === '°F' ? 'FAHRENHEIT' : 'CELSIUS';
-      service.getCharacteristic(Characteristic.TemperatureDisplayUnits).updateValue(Characteristic.TemperatureDisplayUnits[unit]);
+  // if the device doesn't report whether it's heating or cooling, estimate it
+  // from the mode and the current and target temperatures
+  const estimateCurrentState = service => {
+    const getValue = characteristic => Mapper.Utils.getCharacteristicValue(service, characteristic);
+    const mode    = getValue(Characteristic.TargetHeatingCoolingState);
+    const current = getValue(Characteristic.CurrentTemperature);
+    const target  = getValue(Characteristic.TargetTemperature);
+    const low     = getValue(Characteristic.HeatingThresholdTemperature) ?? target;
+    const high    = getValue(Characteristic.CoolingThresholdTemperature) ?? target;
+    if (current == null) return OFF;
+    switch (mode) {
+      case HEAT: return current < target ? HEAT : OFF;
+      case COOL: return current > target ? COOL : OFF;
+      case AUTO: return current < low ? HEAT : current > high ? COOL : OFF;
+      default:   return OFF;
     }
+  };
 
-    // don't need to fake thermostat mode if the device has the real thing
-    if (Mapper.Utils.hasCapability(device, 'thermostat_mode')) return;
+  return {
+    class:    [ 'thermostat', 'heatpump' ],
+    service:  Service.Thermostat,
+    onService: (service, { device }) => {
+      // set correct temperature display unit
+      Mapper.Utils.updateDisplayUnits(service, device);
 
-    // If the capability 'thermostat_mode' is not used, remove all modes and support only AUTO Mode
-    service.getCharacteristic(Characteristic.TargetHeatingCoolingState).updateValue(Characteristic.TargetHeatingCoolingState.AUTO);
-    service.getCharacteristic(Characteristic.TargetHeatingCoolingState).setProps({
-      validValues: [Characteristic.TargetHeatingCoolingState.AUTO],
-      maxValue: Characteristic.TargetHeatingCoolingState.AUTO,
-      minValue: Characteristic.TargetHeatingCoolingState.AUTO
-    });
-  },
-  required: {
-    target_temperature:  Mapper.Characteristics.Temperature.Target,
-    measure_temperature: Mapper.Characteristics.Temperature.Current,
-  },
-  optional : {
-    thermostat_mode: [
-      Mapper.Characteristics.HeatingCoolingState.Current,
-      Mapper.Characteristics.HeatingCoolingState.Target,
-    ],
-    // Optional
-    measure_humidity: Mapper.Characteristics.RelativeHumidity.Current,
-  }
-});
+      // don't need to fake thermostat mode if the device has the real thing
+      if (Mapper.Utils.hasCapability(device, 'thermostat_mode')) return;
+
+      // otherwise, support a single mode: AUTO for devices with split
+      // setpoints, HEAT for everything else
+      const mode = hasSplitSetpoints(device) ? AUTO : HEAT;
+      Mapper.Utils.setSingleMode(service, Characteristic.TargetHeatingCoolingState, mode);
+    },
+    onUpdate: ({ characteristic, oldValue, newValue, service, device, capability }) => {
+      // keep temperature display unit in step with the device
+      Mapper.Utils.updateDisplayUnits(service, device);
+
+      // don't need to estimate the current state if the device has the real thing
+      if (Mapper.Utils.hasCapability(device, 'thermostat_state')) return;
+      service.getCharacteristic(Characteristic.CurrentHeatingCoolingState).updateValue(estimateCurrentState(service));
+    },
+    required: {
+      target_temperature:  Mapper.Characteristics.Temperature.Target,
+      measure_temperature: Mapper.Characteristics.Temperature.Current,
+    },
+    optional : {
+      thermostat_mode:  Mapper.Characteristics.HeatingCoolingState.Target,
+      thermostat_state: Mapper.Characteristics.HeatingCoolingState.Current,
+      // split setpoints, used by HomeKit in AUTO mode
+      ...Object.fromEntries(HEATING_SETPOINTS.map(cap => [ cap, Mapper.Characteristics.Temperature.HeatingThreshold ])),
+      ...Object.fromEntries(COOLING_SETPOINTS.map(cap => [ cap, Mapper.Characteristics.Temperature.CoolingThreshold ])),
+      // Optional
+      measure_humidity: Mapper.Characteristics.RelativeHumidity.Current,
+    }
+  };
+};
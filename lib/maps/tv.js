@@ -1,18 +1,133 @@
-module.exports = (Mapper, Service, Characteristic) => ({
-  class:    'tv',
-  service:  Service.Television,
-  onService : (service, { device }) => {
-    service.getCharacteristic(Characteristic.ConfiguredName).setValue(device.name);
-    service.getCharacteristic(Characteristic.Name).setValue(device.name);
-
-    // There are no capabilities that map to these, so we'll just assume a fixed value.
-    service.getCharacteristic(Characteristic.ActiveIdentifier).setValue(1);
-    service.getCharacteristic(Characteristic.SleepDiscoveryMode).setValue(Characteristic.SleepDiscoveryMode.NOT_DISCOVERABLE);
-  },
-  required: {
-    onoff: Mapper.Characteristics.Active,
-  },
-  optional: {
-    dim: Mapper.Characteristics.Light.Dim,
-  },
-});
+module.exports = (Mapper, Service, Characteristic, Accessory) => {
+  const { RemoteKey, VolumeSelector, InputSourceType } = Characteristic;
+
+  // capabilities that can provide input sources (the first one the device
+  // has is used), their values become the inputs of the TV
+  const SOURCE_CAPABILITIES = [ 'input_source', 'channel' ];
+
+  // remote keys that map to (button) capabilities
+  const REMOTE_KEYS = {
+    [ RemoteKey.ARROW_UP ]       : 'channel_up',
+    [ RemoteKey.ARROW_DOWN ]     : 'channel_down',
+    [ RemoteKey.NEXT_TRACK ]     : 'speaker_next',
+    [ RemoteKey.PREVIOUS_TRACK ] : 'speaker_prev',
+  };
+
+  const INPUT_TYPES = [
+    [ /hdmi/i,                     InputSourceType.HDMI ],
+    [ /usb/i,                      InputSourceType.USB ],
+    [ /dvi/i,                      InputSourceType.DVI ],
+    [ /component/i,                InputSourceType.COMPONENT_VIDEO ],
+    [ /composite|^av|scart/i,      InputSourceType.COMPOSITE_VIDEO ],
+    [ /airplay/i,                  InputSourceType.AIRPLAY ],
+    [ /tv|tuner|antenna|dvb/i,     InputSourceType.TUNER ],
+    [ /app|netflix|youtube|prime/i, InputSourceType.APPLICATION ],
+  ];
+
+  const getSourceCapability = device => SOURCE_CAPABILITIES.find(cap => Mapper.Utils.hasCapability(device, cap));
+
+  // titles can be localized objects
+  const getTitle = ({ id, title }) => (typeof title === 'object' ? title?.en ?? Object.values(title ?? {})[0] : title) || String(id);
+
+  const getSources = (device, capability) => device.capabilitiesObj?.[capability]?.values || [];
+
+  const getInputSourceType = (capability, id) => {
+    if (capability === 'channel') return InputSourceType.TUNER;
+    return INPUT_TYPES.find(([ regex ]) => regex.test(id))?.[1] ?? InputSourceType.OTHER;
+  };
+
+  const television = source => ({
+    name:     source === SOURCE_CAPABILITIES[0] ? null : source,
+    class:    'tv',
+    service:  Service.Television,
+    category: Accessory.Categories.TELEVISION,
+    // HomeKit only fully supports TVs that are published by themselves
+    standalone: true,
+    link:     [ Service.InputSource, Service.TelevisionSpeaker ],
+    // only one source capability can drive the active input
+    match:    device => (getSourceCapability(device) ?? SOURCE_CAPABILITIES[0]) === source,
+    onService : (service, { device, addService }) => {
+      service.setPrimaryService(true);
+      service.getCharacteristic(Characteristic.ConfiguredName).setValue(device.name);
+      service.getCharacteristic(Characteristic.Name).setValue(device.name);
+      service.getCharacteristic(Characteristic.SleepDiscoveryMode).setValue(Characteristic.SleepDiscoveryMode.NOT_DISCOVERABLE);
+
+      // create an input source for each value of the source capability
+      const capability = Mapper.Utils.allCapabilitiesMatching(device, source)[0];
+      const sources    = capability ? getSources(device, capability) : [];
+      sources.forEach((value, idx) => {
+        const title = getTitle(value);
+        addService(Service.InputSource, title, `input-${ value.id }`)
+          .updateCharacteristic(Characteristic.Identifier,             idx + 1)
+          .updateCharacteristic(Characteristic.ConfiguredName,         title)
+          .updateCharacteristic(Characteristic.Name,                   title)
+          .updateCharacteristic(Characteristic.IsConfigured,           Characteristic.IsConfigured.CONFIGURED)
+          .updateCharacteristic(Characteristic.InputSourceType,        getInputSourceType(source, value.id))
+          .updateCharacteristic(Characteristic.CurrentVisibilityState, Characteristic.CurrentVisibilityState.SHOWN);
+      });
+
+      // without sources, there's only a single (fixed) input
+      if (! sources.length) {
+        service.getCharacteristic(Characteristic.ActiveIdentifier).updateValue(1);
+      }
+
+      // pass the keys of the remote control (widget) to the device
+      service.getCharacteristic(Characteristic.RemoteKey).onSet(async key => {
+        if (key === RemoteKey.PLAY_PAUSE && device.capabilities.includes('speaker_playing')) {
+          return await device.setCapabilityValue('speaker_playing', ! device.capabilitiesObj?.speaker_playing?.value);
+        }
+        const capability = REMOTE_KEYS[key];
+        if (capability && device.capabilities.includes(capability)) {
+          await device.setCapabilityValue(capability, true);
+        }
+      });
+    },
+    required: {
+      onoff: Mapper.Characteristics.Active,
+    },
+    optional: {
+      dim: Mapper.Characteristics.Light.Dim,
+      // the active input is the (1-based) index of the current source value
+      [ source ]: {
+        characteristics: Characteristic.ActiveIdentifier,
+        get: (value, { device, capability }) => getSources(device, capability).findIndex(({ id }) => id === value) + 1,
+        set: (value, { device, capability }) => getSources(device, capability)[value - 1]?.id ?? device.capabilitiesObj?.[capability]?.value,
+      },
+    },
+  });
+
+  // volume of the TV, which the remote control (widget) uses
+  const speaker = (required, optional = {}) => ({
+    class:    'tv',
+    service:  Service.TelevisionSpeaker,
+    onService: (service, { device }) => {
+      const relative = device.capabilities.includes('volume_up') && device.capabilities.includes('volume_down');
+      const { ABSOLUTE, RELATIVE, NONE } = Characteristic.VolumeControlType;
+      service.getCharacteristic(Characteristic.VolumeControlType).updateValue(Mapper.Utils.hasCapability(device, 'volume_set') ? ABSOLUTE : relative ? RELATIVE : NONE);
+      if (relative) {
+        service.getCharacteristic(Characteristic.VolumeSelector).onSet(async selector => {
+          await device.setCapabilityValue(selector === VolumeSelector.INCREMENT ? 'volume_up' : 'volume_down', true);
+        });
+      }
+      // TV speakers have to support muting, even if the device can't
+      if (! Mapper.Utils.hasCapability(device, 'volume_mute')) {
+        service.getCharacteristic(Characteristic.Mute).updateValue(false);
+      }
+    },
+    required,
+    optional,
+  });
+
+  return [
+    ...SOURCE_CAPABILITIES.map(television),
+    {
+      ...speaker({ volume_mute : Mapper.Characteristics.Mute }, { volume_set : Mapper.Characteristics.Volume }),
+      name : 'speaker',
+    },
+    {
+      ...speaker({ volume_set : Mapper.Characteristics.Volume }),
+      name      : 'speaker-volume',
+      forbidden : [ 'volume_mute' ],
+    },
+  ];
+};
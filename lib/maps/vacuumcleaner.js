@@ -0,0 +1,75 @@
+module.exports = (Mapper, Service, Characteristic) => {
+  const { ACTIVE, INACTIVE }  = Characteristic.Active;
+  const { IDLE, BLOWING_AIR } = Characteristic.CurrentFanState;
+
+  // `vacuumcleaner_state` values
+  const CLEANING = [ 'cleaning', 'spot_cleaning' ];
+  const DOCKED   = [ 'docked', 'charging' ];
+
+  // HomeKit doesn't know about vacuum cleaners, so they are exposed as a fan
+  // (with the suction power as rotation speed), with a switch to send them
+  // back to their dock and their battery status linked to it
+  const vacuum = (required, optional = {}) => ({
+    class:    'vacuumcleaner',
+    service:  Service.Fanv2,
+    link:     [ Service.Battery, Service.Switch ],
+    required,
+    optional: {
+      ...optional,
+      dim:           Mapper.Characteristics.RotationSpeed,
+      fan_speed:     Mapper.Characteristics.RotationSpeed,
+      // fans don't have a fault status, but vacuum cleaners can get stuck
+      alarm_generic: {
+        characteristics: Characteristic.StatusFault,
+        get:             value => Characteristic.StatusFault[ value ? 'GENERAL_FAULT' : 'NO_FAULT' ],
+      },
+    },
+  });
+
+  return [
+    // start/stop through `onoff`
+    vacuum({
+      onoff : Mapper.Characteristics.Active,
+    }, {
+      vacuumcleaner_state : {
+        characteristics: Characteristic.CurrentFanState,
+        get:             value => CLEANING.includes(value) ? BLOWING_AIR : IDLE,
+      },
+    }),
+    // devices that can only be controlled through their cleaning state
+    {
+      ...vacuum({
+        vacuumcleaner_state : {
+          characteristics: [ Characteristic.Active, Characteristic.CurrentFanState ],
+          get:             (value, { characteristic }) => {
+            switch (characteristic) {
+              case 'CurrentFanState':
+                return CLEANING.includes(value) ? BLOWING_AIR : IDLE;
+              default:
+                return CLEANING.includes(value) ? ACTIVE : INACTIVE;
+            }
+          },
+          set:             value => value === ACTIVE ? 'cleaning' : 'stopped',
+        },
+      }),
+      name:      'state',
+      forbidden: [ 'onoff' ],
+    },
+    // send the vacuum cleaner back to its dock
+    {
+      name:     'dock',
+      class:    'vacuumcleaner',
+      service:  Service.Switch,
+      onService: (service, { device }) => {
+        service.getCharacteristic(Characteristic.Name).updateValue(`${ device.name } Dock`);
+      },
+      required: {
+        vacuumcleaner_state : {
+          characteristics: Characteristic.On,
+          get:             value => DOCKED.includes(value),
+          set:             value => value ? 'docked' : 'stopped',
+        },
+      },
+    },
+  ];
+};
@@ -0,0 +1,109 @@
+module.exports = (Mapper, Service, Characteristic) => {
+  const { ACTIVE, INACTIVE }   = Characteristic.Active;
+  const { IN_USE, NOT_IN_USE } = Characteristic.InUse;
+  const { CONFIGURED }         = Characteristic.IsConfigured;
+  const { GENERIC_VALVE, IRRIGATION, SHOWER_HEAD, WATER_FAUCET } = Characteristic.ValveType;
+
+  const VALVE_TYPES = {
+    sprinkler : IRRIGATION,
+    faucet    : WATER_FAUCET,
+    shower    : SHOWER_HEAD,
+    valve     : GENERIC_VALVE,
+  };
+
+  // HomeKit's own default
+  const DEFAULT_DURATION = 300;
+
+  // running timers, per valve service
+  const timers = new WeakMap();
+
+  const getValveType = device => VALVE_TYPES[device.virtualClass] ?? VALVE_TYPES[device.class] ?? GENERIC_VALVE;
+
+  // devices that have a timer of their own report the remaining duration,
+  // for all others HomeKitty keeps track of it
+  const hasTimer = (device, group) => device.capabilities.includes(`measure_remaining_duration${ group ? '.' + group : '' }`);
+
+  // the master switch of multi-zone sprinkler controllers (`onoff.1`,
+  // `onoff.2`, ...) belongs to the irrigation system (see `irrigation.js`)
+  const isMasterSwitch = (device, group) => group === ''
+    && [ device.class, device.virtualClass ].includes('sprinkler')
+    && device.capabilities.some(capability => /^onoff\.\d+$/.test(capability));
+
+  const getRemaining = service => {
+    const timer = timers.get(service);
+    return timer ? Math.max(0, Math.round((timer.end - Date.now()) / 1000)) : 0;
+  };
+
+  const stopTimer = service => {
+    clearTimeout(timers.get(service)?.timer);
+    timers.delete(service);
+    service.getCharacteristic(Characteristic.RemainingDuration).updateValue(0);
+  };
+
+  // turns the valve off once the duration set in HomeKit has passed
+  // (a duration of 0 means the valve stays open until it's turned off)
+  const startTimer = (service, device, capability) => {
+    if (timers.has(service)) return;
+    const duration = service.getCharacteristic(Characteristic.SetDuration).value;
+    if (! duration) return;
+    const timer = setTimeout(() => {
+      stopTimer(service);
+      device.setCapabilityValue(capability, false).catch(() => {});
+    }, duration * 1000);
+    timers.set(service, { timer, end : Date.now() + duration * 1000 });
+    service.getCharacteristic(Characteristic.RemainingDuration).updateValue(duration);
+  };
+
+  return {
+    class:    Object.keys(VALVE_TYPES),
+    service:  Service.Valve,
+    group:    true,
+    match:    (device, group) => ! isMasterSwitch(device, group),
+    onService: (service, { device, group }) => {
+      service.getCharacteristic(Characteristic.ValveType).updateValue(getValveType(device));
+      service.getCharacteristic(Characteristic.IsConfigured).updateValue(CONFIGURED);
+
+      // zones of multi-zone controllers (`onoff.1`, `onoff.2`, ...)
+      if (/^\d+$/.test(group)) {
+        service.getCharacteristic(Characteristic.ServiceLabelIndex).updateValue(Number(group));
+        service.getCharacteristic(Characteristic.Name).updateValue(`${ device.name } ${ group }`);
+      }
+
+      if (hasTimer(device, group)) return;
+      const setDuration = service.getCharacteristic(Characteristic.SetDuration);
+      if (! setDuration.value) {
+        setDuration.updateValue(DEFAULT_DURATION);
+      }
+      service.getCharacteristic(Characteristic.RemainingDuration).onGet(() => getRemaining(service));
+    },
+    onUpdate: ({ characteristic, newValue, service, device, capability }) => {
+      if (characteristic !== 'Active' || hasTimer(device, capability.split('.')[1])) return;
+      if (newValue === ACTIVE) {
+        startTimer(service, device, capability);
+      } else {
+        stopTimer(service);
+      }
+    },
+    required: {
+      onoff: {
+        characteristics: [ Characteristic.Active, Characteristic.InUse ],
+        get: (value, { characteristic }) => {
+          if (characteristic === 'InUse') return value ? IN_USE : NOT_IN_USE;
+          return value ? ACTIVE : INACTIVE;
+        },
+        set: value => value === ACTIVE,
+      },
+    },
+    optional: {
+      target_duration: {
+        characteristics: Characteristic.SetDuration,
+        get: value => Math.round(value ?? 0),
+        set: value => value,
+      },
+      measure_remaining_duration: {
+        characteristics: Characteristic.RemainingDuration,
+        get: value => Math.round(value ?? 0),
+      },
+    },
+  };
+};
@@ -1,23 +1,133 @@
-module.exports = (Mapper, Service, Characteristic) => ({
-  class:     [ 'curtain', 'blinds', 'sunshade', 'windowcoverings' ],
-  service:   Service.WindowCovering,
-  onService: service => {
-    service.getCharacteristic(Characteristic.TargetPosition).setProps({ minStep : 50 });
-  },
-  required: {
-    windowcoverings_state : {
-      characteristics: [ Characteristic.CurrentPosition, Characteristic.TargetPosition, Characteristic.PositionState ],
-      get : (value, { device, service, characteristic, capability }) => {
-        if (characteristic === 'PositionState') {
-          return Characteristic.PositionState[value === 'up' ? 'INCREASING' : value === 'down' ? 'DECREASING' : 'STOPPED' ];
-        } else {
-          return value === 'up' ? 100 : value === 'down' ? 0 : 50;
+module.exports = (Mapper, Service, Characteristic) => {
+  const { INCREASING, DECREASING, STOPPED } = Characteristic.PositionState;
+
+  // Motors that only report whether they're moving up, down or not at all
+  // don't report a position. Once the user has calibrated the time it takes
+  // to fully open or close the covering (`travelTime`), the position is
+  // estimated from how long the motor has been moving, and positions in
+  // between are reached by stopping the motor in time. Without calibration,
+  // coverings can only be fully opened or closed.
+
+  // estimated positions, per window covering service
+  const covers = new WeakMap();
+
+  const getTravelTime = device => Mapper.getDeviceOptions(device.id).travelTime ?? null;
+
+  const getCover = (service, device, capability) => {
+    if (! covers.has(service)) {
+      const state = device.capabilitiesObj?.[capability]?.value ?? 'idle';
+      covers.set(service, {
+        position : Mapper.getDeviceState(device.id).position ?? (state === 'up' ? 100 : state === 'down' ? 0 : 50),
+        state,
+        seen     : state,
+        since    : Date.now(),
+        target   : null,
+        timer    : null,
+      });
+    }
+    return covers.get(service);
+  };
+
+  const estimate = (cover, travelTime) => {
+    if (cover.state === 'idle') return cover.position;
+    const delta = (Date.now() - cover.since) / (travelTime * 1000) * 100;
+    return Math.max(0, Math.min(100, cover.position + (cover.state === 'up' ? delta : -delta)));
+  };
+
+  const update = (service, cover, travelTime) => {
+    const position = Math.round(estimate(cover, travelTime));
+    service.getCharacteristic(Characteristic.CurrentPosition).updateValue(position);
+    service.getCharacteristic(Characteristic.TargetPosition).updateValue(cover.target ?? position);
+    service.getCharacteristic(Characteristic.PositionState).updateValue(cover.state === 'up' ? INCREASING : cover.state === 'down' ? DECREASING : STOPPED);
+  };
+
+  // stops tracking movement at a position, and remembers it
+  const stop = (cover, device, position) => {
+    clearTimeout(cover.timer);
+    Object.assign(cover, { position, state : 'idle', since : Date.now(), target : null, timer : null });
+    Mapper.setDeviceState(device.id, { position : Math.round(position) });
+  };
+
+  // Starts tracking a new motor state. Moving motors are stopped once they
+  // reach their target (or considered stopped once they reach either end).
+  const move = (service, cover, device, capability, state) => {
+    const travelTime = getTravelTime(device);
+    const position   = estimate(cover, travelTime);
+    clearTimeout(cover.timer);
+    if (state === 'idle') {
+      stop(cover, device, position);
+      return;
+    }
+    Object.assign(cover, { position, state, since : Date.now() });
+
+    const target = cover.target ?? (state === 'up' ? 100 : 0);
+    cover.timer  = setTimeout(() => {
+      // the motor stops by itself at either end
+      if (target > 0 && target < 100) {
+        device.setCapabilityValue(capability, 'idle').catch(() => {});
+      }
+      stop(cover, device, target);
+      update(service, cover, travelTime);
+    }, Math.abs(target - position) / 100 * travelTime * 1000);
+  };
+
+  return {
+    class:     [ 'curtain', 'blinds', 'sunshade', 'windowcoverings' ],
+    service:   Service.WindowCovering,
+    calibrate: true,
+    onService: (service, { device }) => {
+      service.getCharacteristic(Characteristic.TargetPosition).setProps({ minStep : getTravelTime(device) ? 1 : 50 });
+    },
+    required: {
+      windowcoverings_state : {
+        characteristics: [ Characteristic.CurrentPosition, Characteristic.TargetPosition, Characteristic.PositionState ],
+        get : (value, { device, service, characteristic, capability }) => {
+          const travelTime = getTravelTime(device);
+          if (! travelTime) {
+            if (characteristic === 'PositionState') {
+              return Characteristic.PositionState[value === 'up' ? 'INCREASING' : value === 'down' ? 'DECREASING' : 'STOPPED' ];
+            } else {
+              return value === 'up' ? 100 : value === 'down' ? 0 : 50;
+            }
+          }
+
+          // track changes of the motor state that weren't made from HomeKit
+          const cover = getCover(service, device, capability);
+          if (value !== cover.seen) {
+            cover.seen = value;
+            if (value !== cover.state) {
+              cover.target = null;
+              move(service, cover, device, capability, value);
+            }
+          }
+
+          const position = Math.round(estimate(cover, travelTime));
+          switch (characteristic) {
+            case 'PositionState':
+              return cover.state === 'up' ? INCREASING : cover.state === 'down' ? DECREASING : STOPPED;
+            case 'TargetPosition':
+              return cover.target ?? (cover.state === 'up' ? 100 : cover.state === 'down' ? 0 : position);
+            default:
+              return position;
+          }
+        },
+        set : (value, { device, service, capability }) => {
+          const travelTime = getTravelTime(device);
+          if (! travelTime) {
+            return value === 100 ? 'up' : value === 0 ? 'down' : 'idle';
+          }
+
+          // move towards the target, or stop if we're already there
+          const cover    = getCover(service, device, capability);
+          const position = estimate(cover, travelTime);
+          const state    = value === 100 ? 'up' : value === 0 ? 'down' : Math.abs(value - position) < 1 ? 'idle' : value > position ? 'up' : 'down';
+          cover.target   = state === 'idle' ? null : value;
+          cover.seen     = state;
+          move(service, cover, device, capability, state);
+          return state;
         }
-      },
-      set : (value, { characteristic }) => {
-        return value === 100 ? 'up' : value === 0 ? 'down' : 'idle';
       }
-    }
-  },
-  forbidden : [ 'dim', 'windowcoverings_set' ]
-});
+    },
+    forbidden : [ 'dim', 'windowcoverings_set' ]
+  };
+};
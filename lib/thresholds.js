@@ -0,0 +1,83 @@
+// Threshold tables that are used to turn sensor readings into HomeKit states.
+// Users can override them (they are stored in the app settings), entries that
+// aren't overridden fall back to the defaults below.
+//
+// {
+//   "airQuality": {                      // upper bounds of EXCELLENT, GOOD, FAIR and INFERIOR
+//     "measure_pm25": [ 10, 20, 25, 50 ] // (anything above the last bound is POOR)
+//   },
+//   "detected": {                        // level from which gas sensors report abnormal levels
+//     "measure_co": 50
+//   },
+//   "inUse": {                           // power (W) above which outlets are in use
+//     "measure_power": 1
+//   }
+// }
+
+const DEFAULT_THRESHOLDS = {
+  airQuality : {
+    // OSHA guidelines for CO2 (ppm):
+    // https://ohsonline.com/Articles/2016/04/01/Carbon-Dioxide-Detection-and-Indoor-Air-Quality-Control.aspx?Page=2
+    measure_co2  : [ 350, 1000, 2000, 5000 ],
+    // European Air Quality Index bands (µg/m³):
+    // https://airindex.eea.europa.eu/AQI/index.html
+    measure_pm25 : [ 10, 20, 25, 50 ],
+    measure_pm10 : [ 20, 40, 50, 100 ],
+    measure_no2  : [ 40, 90, 120, 230 ],
+    measure_o3   : [ 50, 100, 130, 240 ],
+    // German Environment Agency guidance for TVOC (µg/m³)
+    measure_voc  : [ 300, 1000, 3000, 10000 ],
+  },
+  detected : {
+    // OSHA permissible exposure limits (ppm)
+    measure_co   : 50,
+    measure_co2  : 5000,
+  },
+  inUse : {
+    // standby consumption of most appliances stays below this
+    measure_power : 1,
+  },
+};
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+module.exports.DEFAULT_THRESHOLDS = DEFAULT_THRESHOLDS;
+
+module.exports.validateThresholds = function validateThresholds(thresholds) {
+  const errors = [];
+  if (! thresholds || typeof thresholds !== 'object' || Array.isArray(thresholds)) {
+    return [ { path : '', message : 'should be an object' } ];
+  }
+  for (const [ table, entries ] of Object.entries(thresholds)) {
+    if (! (table in DEFAULT_THRESHOLDS)) {
+      errors.push({ path : table, message : 'unknown threshold table' });
+      continue;
+    }
+    if (! entries || typeof entries !== 'object' || Array.isArray(entries)) {
+      errors.push({ path : table, message : 'should be an object' });
+      continue;
+    }
+    for (const [ capability, value ] of Object.entries(entries)) {
+      const path = `${ table }.${ capability }`;
+      if (! (capability in DEFAULT_THRESHOLDS[table])) {
+        errors.push({ path, message : 'unknown capability' });
+      } else if (table === 'airQuality') {
+        if (! Array.isArray(value) || value.length !== 4 || ! value.every(isNumber)) {
+          errors.push({ path, message : 'should be a list of four numbers' });
+        } else if (value.some((bound, idx) => idx && bound < value[idx - 1])) {
+          errors.push({ path, message : 'should be in ascending order' });
+        }
+      } else if (! isNumber(value)) {
+        errors.push({ path, message : 'should be a number' });
+      }
+    }
+  }
+  return errors;
+};
+
+// Merges user-defined thresholds with the defaults.
+module.exports.mergeThresholds = function mergeThresholds(thresholds = {}) {
+  return Object.fromEntries(Object.entries(DEFAULT_THRESHOLDS).map(([ table, defaults ]) => {
+    return [ table, { ...defaults, ...thresholds?.[table] } ];
+  }));
+};
@@ -0,0 +1,160 @@
+const { Accessory, Service, Characteristic } = require('../modules/hap-nodejs');
+
+// User-defined maps are plain JSON objects (so they can be stored in the app
+// settings) that get compiled into regular maps:
+//
+// {
+//   "name":      "my-dimmable-socket",
+//   "class":     [ "socket" ],
+//   "service":   "Lightbulb",
+//   "category":  "LIGHTBULB",                       // optional
+//   "group":     true,                              // optional
+//   "required":  {
+//     "onoff":   { "characteristics": "On", "accessor": "OnOff" }
+//   },
+//   "optional":  {
+//     "dim":     "Light.Dim",                       // shortcut for `Mapper.Characteristics.Light.Dim`
+//     "measure_power": {
+//       "characteristics": "OutletInUse",
+//       "accessor":        "Boolean",
+//       "readonly":        true,                    // don't allow HomeKit to set the value
+//       "props":           false                    // don't derive characteristic props from the capability options
+//     }
+//   },
+//   "forbidden": [ "light_hue" ]                    // optional
+// }
+//
+// Characteristic bindings can reference either a predefined characteristic map
+// (`Mapper.Characteristics`) or a combination of one or more HomeKit
+// characteristics and a built-in accessor (`Mapper.Accessors`). Bindings
+// without an accessor pass values through unchanged.
+
+const resolvePath = (root, path) => String(path).split('.').reduce((obj, key) => obj?.[key], root);
+
+const isString = value => typeof value === 'string' && value.length > 0;
+
+const isCharacteristicClass = klass => typeof klass === 'function' && klass.prototype instanceof Characteristic;
+
+const isServiceClass = klass => typeof klass === 'function' && klass.prototype instanceof Service;
+
+function compileBinding(Mapper, binding, where, errors) {
+  // reference to a predefined characteristic map
+  if (typeof binding === 'string') {
+    const characteristicMap = resolvePath(Mapper.Characteristics, binding);
+    if (! characteristicMap?.characteristics) {
+      errors.push({ path : where, message : `unknown characteristic map '${ binding }'` });
+      return null;
+    }
+    return characteristicMap;
+  }
+
+  if (! binding || typeof binding !== 'object' || Array.isArray(binding)) {
+    errors.push({ path : where, message : 'should be a string or an object' });
+    return null;
+  }
+
+  // resolve characteristics
+  const characteristics = [ binding.characteristics ].flat().map(name => {
+    const klass = isString(name) ? Characteristic[name] : null;
+    if (! isCharacteristicClass(klass)) {
+      errors.push({ path : where, message : `unknown characteristic '${ name }'` });
+      return null;
+    }
+    return klass;
+  });
+  if (characteristics.includes(null)) return null;
+
+  // resolve accessor
+  const accessor = binding.accessor === undefined ? Mapper.Accessors.Identity : resolvePath(Mapper.Accessors, binding.accessor);
+  if (typeof accessor?.get !== 'function') {
+    errors.push({ path : where, message : `unknown accessor '${ binding.accessor }'` });
+    return null;
+  }
+
+  if (binding.debounce !== undefined && ! (Number.isInteger(binding.debounce) && binding.debounce >= 0)) {
+    errors.push({ path : `${ where }.debounce`, message : 'should be a non-negative integer' });
+    return null;
+  }
+
+  if (binding.props !== undefined && typeof binding.props !== 'boolean') {
+    errors.push({ path : `${ where }.props`, message : 'should be a boolean' });
+    return null;
+  }
+
+  return {
+    characteristics : characteristics.length === 1 ? characteristics[0] : characteristics,
+    get             : accessor.get,
+    set             : binding.readonly ? undefined : accessor.set,
+    props           : binding.props ?? accessor.props,
+    debounce        : binding.debounce,
+  };
+}
+
+function compileBindings(Mapper, bindings, where, errors) {
+  if (! bindings || typeof bindings !== 'object' || Array.isArray(bindings)) {
+    errors.push({ path : where, message : 'should be an object' });
+    return {};
+  }
+  return Object.fromEntries(Object.entries(bindings).map(([ capability, binding ]) => {
+    const compiled = [ binding ].flat().map((binding, idx, all) => {
+      return compileBinding(Mapper, binding, `${ where }.${ capability }${ all.length > 1 ? `[${ idx }]` : '' }`, errors);
+    });
+    return [ capability, compiled.length === 1 ? compiled[0] : compiled ];
+  }));
+}
+
+// Compiles a user-defined map definition into a map. Throws an error, with the
+// list of problems (`{ path, message }`) found in the definition in its
+// `errors` property, if the definition is invalid.
+module.exports.compileUserMap = function compileUserMap(Mapper, definition) {
+  const errors = [];
+
+  if (! definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    errors.push({ path : '', message : 'map definition should be an object' });
+  } else {
+    const { name, service, category, group, required, optional = {}, forbidden = [] } = definition;
+    const classes = [ definition.class ].flat();
+
+    if (! isString(name) || ! /^[\w-]+$/.test(name)) {
+      errors.push({ path : 'name', message : 'should be a string containing only letters, digits, dashes and underscores' });
+    }
+    if (! classes.length || ! classes.every(isString)) {
+      errors.push({ path : 'class', message : 'should be a device class or a list of device classes' });
+    }
+    if (! isString(service) || ! isServiceClass(Service[service])) {
+      errors.push({ path : 'service', message : `unknown service '${ service }'` });
+    }
+    if (category !== undefined && ! (category in Accessory.Categories)) {
+      errors.push({ path : 'category', message : `unknown category '${ category }'` });
+    }
+    if (group !== undefined && typeof group !== 'boolean') {
+      errors.push({ path : 'group', message : 'should be a boolean' });
+    }
+    if (required && typeof required === 'object' && ! Object.keys(required).length) {
+      errors.push({ path : 'required', message : 'should contain at least one capability' });
+    }
+    if (! Array.isArray(forbidden) || ! forbidden.every(isString)) {
+      errors.push({ path : 'forbidden', message : 'should be a list of capabilities' });
+    }
+
+    const map = {
+      name,
+      class    : classes,
+      service  : Service[service],
+      category : category !== undefined ? Accessory.Categories[category] : undefined,
+      group    : group,
+      required : compileBindings(Mapper, required, 'required', errors),
+      optional : compileBindings(Mapper, optional, 'optional', errors),
+      forbidden,
+    };
+
+    if (! errors.length) {
+      return map;
+    }
+  }
+
+  const name  = definition?.name ?? 'unnamed map';
+  const error = Error(`invalid map '${ name }': ${ errors.map(({ path, message }) => `${ path }: ${ message }`).join(', ') }`);
+  error.errors = errors;
+  throw error;
+};
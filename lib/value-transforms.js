@@ -0,0 +1,81 @@
+// Per-device value transforms, which allow correcting devices that report
+// values differently from what a map expects without having to fork the map.
+// They are stored per capability in the device options:
+//
+//   { "invert" : true }                 // booleans are negated, numbers are mirrored within the capability range
+//   { "scale" : 0.5, "offset" : -1.5 }  // value * scale + offset
+//   { "min" : 0, "max" : 100 }          // clamp the resulting value
+//
+// Transforms are applied to Homey values before they are passed to the getter
+// of a map, and reversed for the values returned by the setter of a map. Values
+// going back to Homey are kept within the range of the capability.
+
+const NUMBER_KEYS = [ 'scale', 'offset', 'min', 'max' ];
+
+const hasRange = capabilityOptions => Number.isFinite(capabilityOptions?.min) && Number.isFinite(capabilityOptions?.max);
+
+// Validates transforms, using the capabilities of the device (as found in
+// `device.capabilitiesObj`, if given) to check that numbers can be mirrored.
+module.exports.validateTransforms = function validateTransforms(transforms, capabilities = null) {
+  const errors = [];
+  if (! transforms || typeof transforms !== 'object' || Array.isArray(transforms)) {
+    return [ { path : '', message : 'should be an object' } ];
+  }
+  for (const [ capability, spec ] of Object.entries(transforms)) {
+    if (! spec || typeof spec !== 'object' || Array.isArray(spec)) {
+      errors.push({ path : capability, message : 'should be an object' });
+      continue;
+    }
+    for (const [ key, value ] of Object.entries(spec)) {
+      if (key === 'invert') {
+        if (typeof value !== 'boolean') {
+          errors.push({ path : `${ capability }.${ key }`, message : 'should be a boolean' });
+        }
+      } else if (NUMBER_KEYS.includes(key)) {
+        if (typeof value !== 'number' || ! Number.isFinite(value)) {
+          errors.push({ path : `${ capability }.${ key }`, message : 'should be a number' });
+        } else if (key === 'scale' && value === 0) {
+          errors.push({ path : `${ capability }.${ key }`, message : 'should not be zero' });
+        }
+      } else {
+        errors.push({ path : `${ capability }.${ key }`, message : 'unknown transform' });
+      }
+    }
+    if (typeof spec.min === 'number' && typeof spec.max === 'number' && spec.min > spec.max) {
+      errors.push({ path : `${ capability }.min`, message : 'should not be larger than max' });
+    }
+    const options = capabilities?.[capability];
+    if (spec.invert === true && options?.type === 'number' && ! hasRange(options)) {
+      errors.push({ path : `${ capability }.invert`, message : 'capability has no range (min and max) to mirror numbers in' });
+    }
+  }
+  return errors;
+};
+
+// Creates a transform for a capability, using the capability options (as
+// found in `device.capabilitiesObj`) to determine the range of numerical
+// values for inversion and clamping. Numbers are only mirrored for
+// capabilities that have a range. Returns `null` if there's nothing to
+// transform.
+module.exports.createTransform = function createTransform(spec, capabilityOptions = {}) {
+  if (! spec || ! Object.keys(spec).length) return null;
+
+  const { invert = false, scale = 1, offset = 0, min = -Infinity, max = Infinity } = spec;
+  const rangeMin = capabilityOptions?.min ?? -Infinity;
+  const rangeMax = capabilityOptions?.max ??  Infinity;
+  const mirror   = value => invert && hasRange(capabilityOptions) ? rangeMin + rangeMax - value : value;
+  const clamp    = (value, lower, upper) => Math.min(upper, Math.max(lower, value));
+
+  return {
+    toHomeKit : value => {
+      if (typeof value === 'boolean') return invert ? ! value : value;
+      if (typeof value !== 'number')  return value;
+      return clamp(mirror(value) * scale + offset, min, max);
+    },
+    toHomey : value => {
+      if (typeof value === 'boolean') return invert ? ! value : value;
+      if (typeof value !== 'number')  return value;
+      return clamp(mirror((clamp(value, min, max) - offset) / scale), rangeMin, rangeMax);
+    },
+  };
+};
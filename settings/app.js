@@ -10,6 +10,17 @@ function onHomeyReady(Homey) {
     isLoading:                  true,
     isRestarting:               false,
     devices:                    {},
+    mapping:                    null,
+    transforms:                 '{}',
+    transformErrors:            [],
+    confirmed:                  false,
+    confirmTimeout:             null,
+    standalone:                 false,
+    travelTime:                 null,
+    userMaps:                   '[]',
+    userMapErrors:              [],
+    thresholds:                 '{}',
+    thresholdErrors:            [],
     search:                     '',
     currentPage:                'main',
     bridgeIdentifier:           null,
@@ -86,6 +97,89 @@ function onHomeyReady(Homey) {
       this.devices = Object.values(devices);
       console.log(`loaded ${ this.devices.length } devices`);
     },
+    async showDeviceMapping(id) {
+      console.log(`getting mapping details for device ${ id }`);
+      this.mapping         = await this.request('GET', '/devices/' + id + '/mapping');
+      this.transforms      = JSON.stringify(this.mapping.options.transforms || {}, null, 2);
+      this.transformErrors = [];
+      this.confirmed       = this.mapping.options.confirmed === true;
+      this.confirmTimeout  = this.mapping.options.confirmTimeout ?? null;
+      this.standalone      = this.mapping.options.standalone === true;
+      this.travelTime      = this.mapping.options.travelTime ?? null;
+      this.setPage('mapping');
+    },
+    async saveTransforms() {
+      let transforms;
+      try {
+        transforms = JSON.parse(this.transforms || '{}');
+      } catch(e) {
+        return await this.alert(Homey.__('settings.user-maps.invalid-json') + ' ' + e.message, 'error');
+      }
+      const { errors } = await this.request('PUT', '/devices/' + this.mapping.id + '/transforms', { transforms });
+      this.transformErrors = errors;
+      if (errors.length) {
+        return await this.alert(Homey.__('settings.mapping.transforms.invalid'), 'error');
+      }
+      await this.alert(Homey.__('settings.mapping.transforms.saved'), 'info');
+    },
+    async saveConfirmation() {
+      const timeout = Number(this.confirmTimeout) || null;
+      await this.request('PUT', '/devices/' + this.mapping.id + '/confirmation', { confirmed : this.confirmed, timeout });
+    },
+    async saveTravelTime() {
+      const travelTime = Number(this.travelTime) || null;
+      await this.request('PUT', '/devices/' + this.mapping.id + '/travel-time', { travelTime });
+    },
+    async saveStandalone() {
+      try {
+        await this.request('PUT', '/devices/' + this.mapping.id + '/standalone', { standalone : this.standalone });
+        // the device gets its own setup code
+        this.mapping = await this.request('GET', '/devices/' + this.mapping.id + '/mapping');
+      } catch(e) {
+        this.standalone = ! this.standalone;
+      }
+    },
+    async showUserMaps() {
+      const { maps, errors } = await this.request('GET', '/maps');
+      this.userMaps      = JSON.stringify(maps, null, 2);
+      this.userMapErrors = errors;
+      this.setPage('user-maps');
+    },
+    async saveUserMaps() {
+      let maps;
+      try {
+        maps = JSON.parse(this.userMaps || '[]');
+      } catch(e) {
+        return await this.alert(Homey.__('settings.user-maps.invalid-json') + ' ' + e.message, 'error');
+      }
+      const { errors } = await this.request('PUT', '/maps', { maps });
+      this.userMapErrors = errors;
+      if (errors.length) {
+        return await this.alert(Homey.__('settings.user-maps.invalid-maps'), 'error');
+      }
+      this.isRestarting = true;
+      await this.alert(Homey.__('settings.user-maps.restart-app'), 'info');
+    },
+    async showThresholds() {
+      const { thresholds, errors } = await this.request('GET', '/thresholds');
+      this.thresholds      = JSON.stringify(thresholds, null, 2);
+      this.thresholdErrors = errors;
+      this.setPage('thresholds');
+    },
+    async saveThresholds() {
+      let thresholds;
+      try {
+        thresholds = JSON.parse(this.thresholds || '{}');
+      } catch(e) {
+        return await this.alert(Homey.__('settings.user-maps.invalid-json') + ' ' + e.message, 'error');
+      }
+      const { errors } = await this.request('PUT', '/thresholds', { thresholds });
+      this.thresholdErrors = errors;
+      if (errors.length) {
+        return await this.alert(Homey.__('settings.thresholds.invalid'), 'error');
+      }
+      await this.alert(Homey.__('settings.thresholds.saved'), 'info');
+    },
     setPage(page) {
       this.currentPage = page;
     },
@@ -112,6 +206,17 @@ function onHomeyReady(Homey) {
         this.devices.find(d => d.id === id).homekitty.exposed = state;
       }
     },
+    async changeMapForDevice(id, target) {
+      const device = this.devices.find(d => d.id === id);
+      const map    = target.value || null;
+      console.log(`changing map for device ${ id } to ${ map || 'automatic' }`);
+      try {
+        await this.request('PUT', '/devices/' + id + '/map', { map });
+        device.homekitty.map = map;
+      } catch(e) {
+        target.value = device.homekitty.map || '';
+      }
+    },
     async setExposureState(state) {
       this.isRestarting = true;
       await this.alert(Homey.__('settings.expose-all.restart-app'), 'info');
@@ -19,6 +19,31 @@ void function() {
     fn:     (args, cb) => {
       cb(null, mockDevices);
     }
+  }, {
+    method: 'GET',
+    path:   '/devices/:id/mapping',
+    fn:     (args, cb) => {
+      const device = mockDevices[args.params.id];
+      cb(null, {
+        id:           device.id,
+        name:         device.name,
+        class:        'sensor',
+        virtualClass: null,
+        capabilities: [ 'measure_pressure' ],
+        hidden:       [ 'measure_battery' ],
+        maps:         [
+          { name : 'battery',            usable : false, missing : [ 'measure_battery' ],     forbidden : [], hidden : [ 'measure_battery' ] },
+          { name : 'temperature-sensor', usable : false, missing : [ 'measure_temperature' ], forbidden : [], hidden : [] },
+        ],
+        supported:    device.homekitty.supported,
+        ranking:      [],
+        confirmable:  false,
+        canBeStandalone: false,
+        calibratable: false,
+        options:      {},
+        pincode:      null,
+      });
+    }
   }, {
     method: 'PUT',
     path:   '/devices/:id',
@@ -34,6 +59,60 @@ void function() {
       console.log('should unexpose device', args);
       cb();
     }
+  }, {
+    method: 'PUT',
+    path:   '/devices/:id/transforms',
+    fn:     (args, cb) => {
+      console.log('should set transforms', args);
+      cb(null, { errors : [] });
+    }
+  }, {
+    method: 'PUT',
+    path:   '/devices/:id/confirmation',
+    fn:     (args, cb) => {
+      console.log('should set confirmation', args);
+      cb(null, 'ok');
+    }
+  }, {
+    method: 'PUT',
+    path:   '/devices/:id/travel-time',
+    fn:     (args, cb) => {
+      console.log('should set travel time', args);
+      cb(null, 'ok');
+    }
+  }, {
+    method: 'PUT',
+    path:   '/devices/:id/standalone',
+    fn:     (args, cb) => {
+      console.log('should set standalone', args);
+      cb(null, 'ok');
+    }
+  }, {
+    method: 'GET',
+    path:   '/maps',
+    fn:     (args, cb) => {
+      cb(null, { maps : [], errors : [] });
+    }
+  }, {
+    method: 'PUT',
+    path:   '/maps',
+    fn:     (args, cb) => {
+      console.log('should save user maps', args);
+      cb(null, { errors : [] });
+    }
+  }, {
+    method: 'GET',
+    path:   '/thresholds',
+    fn:     (args, cb) => {
+      cb(null, { thresholds : { airQuality : { measure_co2 : [ 350, 1000, 2000, 5000 ] }, detected : { measure_co : 50 } }, errors : [] });
+    }
+  }, {
+    method: 'PUT',
+    path:   '/thresholds',
+    fn:     (args, cb) => {
+      console.log('should save thresholds', args);
+      cb(null, { errors : [] });
+    }
   },{
     method: 'GET',
     path:   '/reset',